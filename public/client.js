@@ -1,18 +1,70 @@
+import {
+  DEFAULT_RULES,
+  MODIFIER_KEYS,
+  clamp,
+  createRules,
+  decayStun,
+  movePlayer,
+  mouthPosition,
+  normalize,
+  tipPosition,
+  wrapAngle
+} from "/shared/simulation.js";
+import {
+  CLOSE_CODES,
+  DEFAULT_STATE_FORMAT,
+  MAX_ROOM_PASSWORD_LENGTH,
+  SNAPSHOT_HISTORY,
+  STATE_FORMATS,
+  decodeSnapshot,
+  expandSnapshot,
+  quantizeAim,
+  quantizeMove
+} from "/shared/protocol.js";
+import {
+  CONFIGURABLE_RULES,
+  DEFAULT_PRESET,
+  RULE_LIMITS,
+  RULE_PRESETS
+} from "/shared/rules.js";
+import { FOOD_TEXTURES, getFoodDefinition } from "/shared/foods.js";
+import { DEFAULT_MAP_ID, createMap } from "/shared/maps.js";
+import { describeEvent, formatDuration, sideLabel } from "/shared/labels.js";
+
 const statusEl = document.getElementById("status");
 const roomEl = document.getElementById("room");
 const inviteEl = document.getElementById("invite");
 const debugEl = document.getElementById("debugInfo");
 const readyBtn = document.getElementById("readyBtn");
+const seatBtn = document.getElementById("seatBtn");
+const botBtn = document.getElementById("botBtn");
+const resultsPanel = document.getElementById("resultsPanel");
+const resultsBody = document.getElementById("resultsBody");
+const resultsReadyBtn = document.getElementById("resultsReadyBtn");
+const replayLink = document.getElementById("replayLink");
 const newRoomBtn = document.getElementById("newRoomBtn");
+const setupBtn = document.getElementById("setupBtn");
+const setupModal = document.getElementById("setupModal");
+const setupClose = document.getElementById("setupClose");
+const setupPreset = document.getElementById("setupPreset");
+const setupFields = document.getElementById("setupFields");
+const setupBestOf = document.getElementById("setupBestOf");
+const setupMap = document.getElementById("setupMap");
+const setupSwap = document.getElementById("setupSwap");
+const setupBot = document.getElementById("setupBot");
+const setupPassword = document.getElementById("setupPassword");
+const setupCreate = document.getElementById("setupCreate");
+const rulesEl = document.getElementById("roomRules");
 const aboutBtn = document.getElementById("aboutBtn");
 const aboutModal = document.getElementById("aboutModal");
 const aboutClose = document.getElementById("aboutClose");
 const aimPad = document.getElementById("aimPad");
 const aimStick = document.getElementById("aimStick");
 const motionBtn = document.getElementById("motionBtn");
+const clenchBtn = document.getElementById("clenchBtn");
 
-const VIRTUAL_WIDTH = 960;
-const VIRTUAL_HEIGHT = 540;
+const VIRTUAL_WIDTH = DEFAULT_RULES.width;
+const VIRTUAL_HEIGHT = DEFAULT_RULES.height;
 
 const config = {
   type: Phaser.AUTO,
@@ -42,12 +94,24 @@ let game;
 let socket;
 let localId = null;
 let localSide = null;
+let localRole = "player";
 let roomId = null;
 let localReady = false;
 let serverState = null;
 let predictedPlayer = null;
-let lastInputSent = 0;
-let maxFullness = 100;
+let pendingInputs = [];
+let inputSeq = 0;
+let inputAccumulator = 0;
+let releaseQueued = false;
+let correction = { x: 0, y: 0, angle: 0 };
+let snapshots = [];
+let stateFormat = DEFAULT_STATE_FORMAT;
+let roomOptionQuery = "";
+let roomPreset = DEFAULT_PRESET;
+let arenaMap = createMap();
+let decodedSnapshots = new Map();
+let serverClockOffset = null;
+let rules = createRules();
 let texturesEnabled = true;
 let reconnectTimer = null;
 let reconnectAttempts = 0;
@@ -55,21 +119,55 @@ let aimActive = false;
 let aimAngle = 0;
 let motionEnabled = false;
 let motionVector = { x: 0, y: 0 };
-
-const MOVE_SPEED = 220;
-const MAX_ANGULAR_SPEED = 4.5;
+let clenchHeld = false;
+let debugOverlay = false;
+let debugState = null;
+let eventFeed = [];
+let eatBursts = [];
+let matchStats = new Map();
+
+const ROOM_OPTION_PARAMS = [
+  "bestOf",
+  "swap",
+  "preset",
+  "map",
+  "bot",
+  ...CONFIGURABLE_RULES
+];
+const KICK_MESSAGES = {
+  [CLOSE_CODES.messageTooLarge]: "消息过大，连接被服务器断开",
+  [CLOSE_CODES.rateLimited]: "发送过于频繁，连接被服务器断开",
+  [CLOSE_CODES.invalidMessages]: "消息格式错误，连接被服务器断开",
+  [CLOSE_CODES.invalidRoom]: "房间号无效（1–32 位字母、数字、- 或 _）",
+  [CLOSE_CODES.serverFull]: "服务器房间数已满，请稍后再试",
+  [CLOSE_CODES.roomIdle]: "房间长时间无人操作，已关闭，刷新页面可重新进入",
+  [CLOSE_CODES.seatTaken]: "座位已在另一个页面打开，本页已断开"
+};
+const BOT_LEVEL_LABELS = { easy: "简单", normal: "普通", hard: "困难" };
+const MAX_FRAME_TIME = 0.1;
+const MAX_PENDING_INPUTS = 120;
+const CORRECTION_DECAY = 12;
+const CORRECTION_SNAP_DISTANCE = 80;
+const INTERPOLATION_DELAY = 0.1;
+const MAX_EXTRAPOLATION = 0.25;
+const SNAPSHOT_BUFFER_SIZE = 30;
+const CLOCK_RESYNC_THRESHOLD = 1;
 const BODY_SIZE = 139;
 const MOUTH_SIZE = 72;
 const RIGHT_MOUTH_SCALE = 0.85;
-const RIGHT_MOUTH_OFFSET_MULT = 0.48;
 const MOUTH_OPEN_SCALE = 1.4;
-const CHOPSTICK_LENGTH = 181;
 const CHOPSTICK_DISPLAY_SCALE = 1.3;
-const CONE_RADIUS = 146;
-const CONE_HALF_ANGLE = Math.PI / 3;
-const MOUTH_RADIUS = 26;
 const BACKGROUND_ALPHA = 0.35;
+const CLENCH_TINT = 0x9aa5b1;
+const STAMINA_BAR_WIDTH = 60;
 const TIP_MARKER_RADIUS = 7;
+const DEBUG_SERVER_COLOR = 0x4fc3f7;
+const DEBUG_PREDICTED_COLOR = 0x8fd694;
+const DEBUG_FOOD_COLORS = { free: 0xffffff, held: 0xff7043 };
+const DEBUG_TIMER_GAP = 4;
+const EVENT_FEED_SIZE = 4;
+const EVENT_FEED_TIME = 3;
+const EAT_BURST_TIME = 0.5;
 
 const PLAYER_TEXTURE_KEYS = {
   left: {
@@ -86,61 +184,8 @@ const PLAYER_TEXTURE_KEYS = {
   }
 };
 
-const FOOD_VALUE_TO_KEY = new Map([
-  [6, "food_01"],
-  [7, "food_03"],
-  [8, "food_04"],
-  [9, "food_05"],
-  [10, "food_06"],
-  [11, "food_08"],
-  [12, "food_09"],
-  [13, "food_10"]
-]);
-
-const FOOD_VALUE_TO_SCALE = new Map([
-  [6, 1.6],
-  [7, 1.7],
-  [8, 1.8],
-  [9, 1.9],
-  [10, 2.0],
-  [11, 2.1],
-  [12, 2.2],
-  [13, 2.3]
-]);
 const FOOD_BASE_SIZE = 22;
 
-function normalize(x, y) {
-  const len = Math.hypot(x, y);
-  if (len === 0) return { x: 0, y: 0 };
-  return { x: x / len, y: y / len };
-}
-
-function wrapAngle(angle) {
-  let a = angle;
-  while (a <= -Math.PI) a += Math.PI * 2;
-  while (a > Math.PI) a -= Math.PI * 2;
-  return a;
-}
-
-function rotateTowards(current, target, maxDelta) {
-  const delta = wrapAngle(target - current);
-  const clamped = Math.max(-maxDelta, Math.min(maxDelta, delta));
-  return wrapAngle(current + clamped);
-}
-
-function tipPosition(player) {
-  return {
-    x: player.x + Math.cos(player.angle) * CHOPSTICK_LENGTH,
-    y: player.y + Math.sin(player.angle) * CHOPSTICK_LENGTH
-  };
-}
-
-function mouthPosition(player) {
-  const offsetMult =
-    player.side === "right" ? RIGHT_MOUTH_OFFSET_MULT : 0.6;
-  return { x: player.x, y: player.y - BODY_SIZE * offsetMult };
-}
-
 function initRoom() {
   const url = new URL(window.location.href);
   roomId = url.searchParams.get("room");
@@ -149,6 +194,17 @@ function initRoom() {
     url.searchParams.set("room", roomId);
     window.history.replaceState(null, "", url.toString());
   }
+  const format = url.searchParams.get("format");
+  if (STATE_FORMATS.includes(format)) {
+    stateFormat = format;
+  }
+  debugOverlay = url.searchParams.get("debug") === "1";
+  const options = new URLSearchParams();
+  for (const key of ROOM_OPTION_PARAMS) {
+    const value = url.searchParams.get(key);
+    if (value !== null) options.set(key, value);
+  }
+  roomOptionQuery = options.toString() ? `&${options.toString()}` : "";
   roomEl.textContent = `房间：${roomId}`;
   inviteEl.textContent = `邀请链接：${url.toString()}`;
 }
@@ -160,14 +216,159 @@ function switchRoom() {
   window.location.replace(url.toString());
 }
 
+function applyRuleEcho(state) {
+  if (!state.rules) return;
+  const changed =
+    state.preset !== roomPreset ||
+    CONFIGURABLE_RULES.some((key) => state.rules[key] !== rules[key]);
+  if (!changed) return;
+  rules = createRules({ ...rules, ...state.rules });
+  roomPreset = state.preset || DEFAULT_PRESET;
+  updateRulesInfo();
+}
+
+function updateRulesInfo() {
+  if (!rulesEl) return;
+  const presetLabel = RULE_PRESETS[roomPreset]?.label || roomPreset;
+  const details = CONFIGURABLE_RULES.map(
+    (key) => `${RULE_LIMITS[key].label} ${rules[key]}`
+  ).join(" · ");
+  rulesEl.textContent = `规则：${presetLabel} · 场地 ${arenaMap.name} · ${details}`;
+}
+
+function buildSetupForm() {
+  for (const [name, preset] of Object.entries(RULE_PRESETS)) {
+    const option = document.createElement("option");
+    option.value = name;
+    option.textContent = preset.label;
+    setupPreset.appendChild(option);
+  }
+  for (const key of CONFIGURABLE_RULES) {
+    const limit = RULE_LIMITS[key];
+    const label = document.createElement("label");
+    label.className = "setupField";
+    label.textContent = limit.label;
+    const input = document.createElement("input");
+    input.type = "number";
+    input.name = key;
+    input.min = String(limit.min);
+    input.max = String(limit.max);
+    input.step = String(limit.step);
+    label.appendChild(input);
+    setupFields.appendChild(label);
+  }
+  updateSetupPlaceholders();
+  loadMapOptions();
+}
+
+async function loadMapOptions() {
+  try {
+    const response = await fetch("/maps");
+    for (const map of await response.json()) {
+      const option = document.createElement("option");
+      option.value = map.id;
+      option.textContent = map.name;
+      option.selected = map.id === DEFAULT_MAP_ID;
+      setupMap.appendChild(option);
+    }
+  } catch (error) {
+    // Without the list rooms just use the default map.
+  }
+}
+
+function updateSetupPlaceholders() {
+  const presetRules = createRules(RULE_PRESETS[setupPreset.value]?.rules);
+  for (const input of setupFields.querySelectorAll("input")) {
+    input.placeholder = String(presetRules[input.name]);
+  }
+}
+
+function createConfiguredRoom() {
+  const url = new URL(window.location.href);
+  url.search = "";
+  const newRoomId = Math.random().toString(36).slice(2, 8);
+  url.searchParams.set("room", newRoomId);
+  if (setupPreset.value !== DEFAULT_PRESET) {
+    url.searchParams.set("preset", setupPreset.value);
+  }
+  for (const input of setupFields.querySelectorAll("input")) {
+    if (input.value !== "") url.searchParams.set(input.name, input.value);
+  }
+  if (setupMap.value && setupMap.value !== DEFAULT_MAP_ID) {
+    url.searchParams.set("map", setupMap.value);
+  }
+  if (setupBestOf.value !== "1") {
+    url.searchParams.set("bestOf", setupBestOf.value);
+  }
+  if (setupSwap.checked) url.searchParams.set("swap", "1");
+  if (setupBot.value) url.searchParams.set("bot", setupBot.value);
+  // The password stays out of the link; the first connection creates the
+  // room with it.
+  if (setupPassword.value) {
+    sessionStorage.setItem(passwordKey(newRoomId), setupPassword.value);
+  }
+  window.location.replace(url.toString());
+}
+
 function updateReadyButton() {
-  if (serverState?.gameOver) {
+  const phase = serverState?.phase;
+  if (phase === "round-over" || phase === "results") {
     readyBtn.textContent = localReady ? "取消再来一局" : "再来一局(就绪)";
     return;
   }
   readyBtn.textContent = localReady ? "取消就绪" : "点击就绪";
 }
 
+function sessionKey() {
+  return `heavenly-feeding:session:${roomId}`;
+}
+
+function passwordKey(id = roomId) {
+  return `heavenly-feeding:password:${id}`;
+}
+
+// Private rooms close the connection until the right password is sent.
+function requestRoomPassword() {
+  const rejected = sessionStorage.getItem(passwordKey()) !== null;
+  const password = window.prompt(
+    rejected ? "密码错误，请重新输入房间密码" : "这是私密房间，请输入密码"
+  );
+  if (!password) {
+    sessionStorage.removeItem(passwordKey());
+    statusEl.textContent = "需要密码才能进入该房间";
+    return;
+  }
+  sessionStorage.setItem(
+    passwordKey(),
+    password.slice(0, MAX_ROOM_PASSWORD_LENGTH)
+  );
+  connect();
+}
+
+function updateRoleControls() {
+  const spectating = localRole === "spectator";
+  readyBtn.style.display = spectating ? "none" : "";
+  const seatOpen = (serverState?.players?.length || 0) < 2;
+  seatBtn.style.display = spectating && seatOpen ? "" : "none";
+  const opponent = serverState?.players?.find((p) => p.id !== localId);
+  const canToggleBot =
+    !spectating && (!opponent || opponent.bot) && !isMatchRunning(serverState);
+  botBtn.style.display = canToggleBot ? "" : "none";
+  botBtn.textContent = opponent?.bot ? "移除机器人" : "机器人陪练";
+}
+
+function isMatchRunning(state) {
+  return state?.phase === "countdown" || state?.phase === "playing";
+}
+
+function toggleBot() {
+  if (!socket || socket.readyState !== WebSocket.OPEN) return;
+  const opponent = serverState?.players?.find((p) => p.id !== localId);
+  socket.send(
+    JSON.stringify({ type: "bot", level: opponent?.bot ? null : "normal" })
+  );
+}
+
 function getScale() {
   const scaleX = config.width / VIRTUAL_WIDTH;
   const scaleY = config.height / VIRTUAL_HEIGHT;
@@ -198,7 +399,9 @@ function updateDebugInfo() {
     `WS: ${socketUrl}\n` +
     `状态: ${socketState}\n` +
     `房间: ${roomId || "-"} | 本地ID: ${localId || "-"}\n` +
-    `玩家: ${playerCount} (${playerList})`;
+    `协议: ${stateFormat}\n` +
+    `玩家: ${playerCount} (${playerList})\n` +
+    `调试叠加层: ${debugOverlay ? "开" : "关"} (\` 切换) | 未确认输入: ${pendingInputs.length}`;
 }
 
 function setAimStickPosition(dx, dy, radius) {
@@ -239,9 +442,20 @@ function connect() {
     reconnectTimer = null;
   }
   const protocol = window.location.protocol === "https:" ? "wss" : "ws";
+  const sessionToken = sessionStorage.getItem(sessionKey());
+  const sessionParam = sessionToken
+    ? `&session=${encodeURIComponent(sessionToken)}`
+    : "";
+  const debugParam = debugOverlay ? "&debug=1" : "";
+  const password = sessionStorage.getItem(passwordKey());
+  const passwordParam = password
+    ? `&password=${encodeURIComponent(password)}`
+    : "";
   socket = new WebSocket(
-    `${protocol}://${window.location.host}?room=${roomId}`
+    `${protocol}://${window.location.host}?room=${encodeURIComponent(roomId)}&format=${stateFormat}${roomOptionQuery}${sessionParam}${debugParam}${passwordParam}`
   );
+  socket.binaryType = "arraybuffer";
+  decodedSnapshots = new Map();
   readyBtn.disabled = true;
   updateDebugInfo();
 
@@ -253,18 +467,31 @@ function connect() {
   });
 
   socket.addEventListener("message", (event) => {
-    const msg = JSON.parse(event.data);
+    const msg =
+      typeof event.data === "string"
+        ? JSON.parse(event.data)
+        : decodeBinaryState(event.data);
+    if (!msg) return;
     if (msg.type === "welcome") {
       localId = msg.id;
       localSide = msg.side;
+      localRole = msg.role || "player";
+      localReady = false;
+      pendingInputs = [];
+      if (msg.sessionToken) {
+        sessionStorage.setItem(sessionKey(), msg.sessionToken);
+      }
       predictedPlayer = null;
+      updateReadyButton();
+      updateRoleControls();
       if (msg.roomId) {
         roomId = msg.roomId;
-        roomEl.textContent = `房间：${roomId}`;
-      }
-      if (Number.isFinite(msg.config?.maxFullness)) {
-        maxFullness = msg.config.maxFullness;
+        roomEl.textContent = `房间：${roomId}${msg.private ? "（私密）" : ""}`;
       }
+      rules = createRules(msg.config);
+      arenaMap = createMap(msg.map, rules);
+      roomPreset = msg.preset || DEFAULT_PRESET;
+      updateRulesInfo();
       if (!game) {
         config.width = window.innerWidth;
         config.height = window.innerHeight;
@@ -272,40 +499,49 @@ function connect() {
       }
       updateDebugInfo();
     }
+    if (msg.type === "events") {
+      handleEvents(msg.events);
+    }
     if (msg.type === "state") {
-      serverState = msg;
-      if (typeof msg.texturesEnabled === "boolean") {
-        texturesEnabled = msg.texturesEnabled;
+      if (msg.phase === "countdown" && msg.series?.round === 1) {
+        matchStats = new Map();
       }
-      if (msg.gameOver) {
-        const winText =
-          msg.loserId === localId ? "你被吃撑了！" : "对手被吃撑了！";
-        statusEl.textContent = `比赛结束：${winText}`;
-        localReady = false;
+      serverState = msg;
+      applyRuleEcho(msg);
+      pushSnapshot(msg);
+      reconcile(msg);
+      const me = msg.players.find((p) => p.id === localId);
+      if (me) {
+        localSide = me.side;
+        localReady = me.ready;
         updateReadyButton();
-      } else {
-        const readyCount = msg.players.filter((p) => p.ready).length;
-        const hasOpponent =
-          msg.players.filter((player) => player.id !== localId).length > 0;
-        if (!hasOpponent) {
-          statusEl.textContent = "等待玩家加入...";
-        } else if (!msg.started) {
-          statusEl.textContent = `等待就绪 (${readyCount}/2)`;
-        } else {
-          statusEl.textContent = "战斗中";
-        }
       }
+      statusEl.textContent =
+        localRole === "spectator"
+          ? `观战中 · ${describeSpectatorState(msg)}`
+          : describePlayerState(msg);
+      updateResultsPanel(msg);
+      updateRoleControls();
       updateDebugInfo();
     }
-    if (msg.type === "full") {
-      statusEl.textContent = "房间已满";
-      updateDebugInfo();
+    if (msg.type === "debug") {
+      debugState = debugOverlay ? msg : null;
     }
   });
 
-  socket.addEventListener("close", () => {
-    statusEl.textContent = "连接已断开";
+  socket.addEventListener("close", (event) => {
     updateDebugInfo();
+    if (event.code === CLOSE_CODES.passwordRequired) {
+      requestRoomPassword();
+      return;
+    }
+    const kicked = KICK_MESSAGES[event.code];
+    if (kicked) {
+      // Dropped on purpose; reconnecting would just repeat it.
+      statusEl.textContent = kicked;
+      return;
+    }
+    statusEl.textContent = "连接已断开";
     scheduleReconnect();
   });
 
@@ -315,6 +551,168 @@ function connect() {
   });
 }
 
+function lossText(results, subject) {
+  return results?.reason === "time"
+    ? `时间到，${subject}更饱`
+    : `${subject}被吃撑了`;
+}
+
+function describePlayerState(state) {
+  const readyCount = state.players.filter((p) => p.ready).length;
+  const opponent = state.players.find((player) => player.id !== localId);
+  const hasOpponent = Boolean(opponent);
+  if (state.paused) return "对手掉线，等待重连...";
+  if (!hasOpponent) return "等待玩家加入...";
+  switch (state.phase) {
+    case "countdown":
+      return "准备开始！";
+    case "playing":
+      return "战斗中";
+    case "round-over":
+    case "results": {
+      const subject = state.loserId === localId ? "你" : "对手";
+      return `比赛结束：${lossText(state.results, subject)}！`;
+    }
+    default:
+      return opponent?.bot
+        ? `机器人陪练（${BOT_LEVEL_LABELS[opponent.bot] || opponent.bot}）已就绪，点击就绪开始`
+        : `等待就绪 (${readyCount}/2)`;
+  }
+}
+
+function describeSpectatorState(state) {
+  if (state.phase === "round-over" || state.phase === "results") {
+    const subject = sideLabel(state.results?.loserSide);
+    return `比赛结束：${lossText(state.results, subject)}！`;
+  }
+  if (state.players.length < 2) return "有空位，可入座";
+  if (state.paused) return "有玩家掉线，等待重连";
+  if (state.phase === "countdown") return "准备开始";
+  if (state.phase === "playing") return "战斗中";
+  const readyCount = state.players.filter((p) => p.ready).length;
+  return `等待就绪 (${readyCount}/2)`;
+}
+
+function serverNow(state) {
+  return serverClockOffset === null
+    ? state.serverTime
+    : localClock() + serverClockOffset;
+}
+
+function phaseRemaining(state) {
+  if (!Number.isFinite(state?.phaseEndsAt)) return null;
+  return Math.max(0, state.phaseEndsAt - serverNow(state));
+}
+
+function describeEffects(state, player) {
+  if (!player) return null;
+  const now = serverNow(state);
+  const parts = (state.effects || [])
+    .filter((effect) => effect.playerId === player.id && effect.endsAt > now)
+    .map((effect) => {
+      const name = getFoodDefinition(effect.type).name || effect.type;
+      return `${name} ${Math.ceil(effect.endsAt - now)}s`;
+    });
+  return parts.length > 0
+    ? `${sideLabel(player.side)}效果：${parts.join(" · ")}`
+    : null;
+}
+
+function playerSideLabel(id) {
+  const player = serverState?.players.find((p) => p.id === id);
+  return player ? sideLabel(player.side) : "观众";
+}
+
+function statsFor(id) {
+  if (!matchStats.has(id)) {
+    matchStats.set(id, { pickups: 0, fed: 0, snatches: 0, drops: 0 });
+  }
+  return matchStats.get(id);
+}
+
+// Events arrive in tick order just before the snapshot that reflects them, so
+// the feed, stats and effects never have to be inferred by diffing state.
+function handleEvents(events) {
+  const now = localClock();
+  for (const event of events) {
+    if (event.type === "pickup") statsFor(event.playerId).pickups += 1;
+    if (event.type === "snatch") statsFor(event.playerId).snatches += 1;
+    if (event.type === "release" && event.reason !== "release") {
+      statsFor(event.playerId).drops += 1;
+    }
+    if (event.type === "eat") {
+      if (event.feederId) statsFor(event.feederId).fed += 1;
+      eatBursts.push({
+        playerId: event.eaterId,
+        color: getFoodDefinition(event.foodType).tint ?? 0xffd86b,
+        start: now
+      });
+    }
+    const text = describeEvent(event, playerSideLabel);
+    if (text) eventFeed.push({ text, until: now + EVENT_FEED_TIME });
+  }
+  eventFeed = eventFeed.slice(-EVENT_FEED_SIZE);
+}
+
+function updateResultsPanel(state) {
+  const results = state.phase === "results" ? state.results : null;
+  resultsPanel.classList.toggle("hidden", !results);
+  if (!results) return;
+  const winnerSide = results.seriesWinnerSide || results.winnerSide;
+  const winner =
+    localRole === "player"
+      ? winnerSide === localSide
+        ? "你赢了！"
+        : "你输了！"
+      : `${sideLabel(winnerSide)}获胜！`;
+  const left = Math.round(results.fullness.left || 0);
+  const right = Math.round(results.fullness.right || 0);
+  const statsOf = (side) => {
+    const player = state.players.find((p) => p.side === side);
+    return (
+      matchStats.get(player?.id) || { pickups: 0, fed: 0, snatches: 0, drops: 0 }
+    );
+  };
+  const leftStats = statsOf("left");
+  const rightStats = statsOf("right");
+  const seriesLine =
+    state.series?.bestOf > 1
+      ? `系列赛比分 ${results.wins.left || 0} : ${results.wins.right || 0}（共 ${results.round} 局）\n`
+      : "";
+  resultsBody.textContent =
+    `${winner}\n` +
+    seriesLine +
+    `${lossText(results, sideLabel(results.loserSide))}\n` +
+    `用时 ${formatDuration(results.duration)}\n` +
+    `左侧饱腹 ${left} · 右侧饱腹 ${right}\n` +
+    `喂进 ${leftStats.fed} : ${rightStats.fed} 口 · 抢食 ${leftStats.snatches} : ${rightStats.snatches} 次 · 脱手 ${leftStats.drops} : ${rightStats.drops} 次`;
+  replayLink.style.display = results.replayId ? "" : "none";
+  if (results.replayId) {
+    replayLink.href = `/replay.html?id=${encodeURIComponent(results.replayId)}`;
+  }
+  resultsReadyBtn.style.display = localRole === "player" ? "" : "none";
+  resultsReadyBtn.textContent = localReady ? "取消再来一局" : "再来一局(就绪)";
+}
+
+function decodeBinaryState(buffer) {
+  const snapshot = decodeSnapshot(buffer, (tick) => decodedSnapshots.get(tick));
+  if (!snapshot) {
+    sendAck(0);
+    return null;
+  }
+  decodedSnapshots.set(snapshot.tick, snapshot);
+  while (decodedSnapshots.size > SNAPSHOT_HISTORY) {
+    decodedSnapshots.delete(decodedSnapshots.keys().next().value);
+  }
+  sendAck(snapshot.tick);
+  return expandSnapshot(snapshot);
+}
+
+function sendAck(tick) {
+  if (!socket || socket.readyState !== WebSocket.OPEN) return;
+  socket.send(JSON.stringify({ type: "ack", tick }));
+}
+
 function scheduleReconnect() {
   if (reconnectTimer) return;
   if (document.hidden) {
@@ -345,17 +743,18 @@ function preload() {
     "player_right_mouth_open",
     "/assets/players/right_mouth_open.png"
   );
-  for (let i = 1; i <= 10; i += 1) {
-    const id = String(i).padStart(2, "0");
-    this.load.image(`food_${id}`, `/assets/foods/food_${id}.png`);
+  for (const texture of FOOD_TEXTURES) {
+    this.load.image(texture.key, texture.url);
   }
 }
 
 function create() {
   this.graphics = this.add.graphics();
   this.overlayGraphics = this.add.graphics();
+  this.overlayGraphics.setDepth(5);
   this.backgroundSprite = null;
   this.foodSprites = new Map();
+  this.powerUpLabels = new Map();
   this.playerSprites = new Map();
   this.chopstickSprites = new Map();
   this.mouthSprites = new Map();
@@ -370,12 +769,27 @@ function create() {
     fontSize: "12px",
     color: "#f2e9d8"
   });
+  this.phaseText = this.add.text(VIRTUAL_WIDTH / 2, VIRTUAL_HEIGHT / 2, "", {
+    fontSize: "72px",
+    color: "#ffd86b",
+    stroke: "#111820",
+    strokeThickness: 8
+  });
+  this.phaseText.setOrigin(0.5, 0.5);
+  this.phaseText.setDepth(10);
+  this.phaseText.setVisible(false);
+  this.lastPhase = null;
   this.cursors = this.input.keyboard.addKeys({
     up: "W",
     down: "S",
     left: "A",
     right: "D",
-    release: "SPACE"
+    release: "SPACE",
+    clench: "SHIFT"
+  });
+  this.input.keyboard.on("keydown-BACKTICK", toggleDebugOverlay);
+  this.input.keyboard.on("keydown-T", () => {
+    texturesEnabled = !texturesEnabled;
   });
   this.input.on("pointermove", () => {});
   const resizeToWindow = () => {
@@ -398,65 +812,187 @@ function create() {
 
 function update(time, delta) {
   if (!serverState || !localId) return;
-  if (!serverState.started) {
-    renderScene(this, predictedPlayer || null, serverState);
+  if (localRole === "spectator") {
+    renderScene(this, null, sampleSnapshots());
+    return;
+  }
+  if (serverState.phase !== "playing" || serverState.paused) {
+    pendingInputs = [];
+    if (serverState.phase !== "playing") predictedPlayer = null;
+    renderScene(this, predictedPlayer || null, sampleSnapshots());
     return;
   }
-  const dt = delta / 1000;
   const player = serverState.players.find((p) => p.id === localId);
   if (!player) return;
 
   if (!predictedPlayer) {
     predictedPlayer = { ...player };
+    pendingInputs = [];
+    inputAccumulator = 0;
   }
 
-  const moveInput = getMoveInput(this.cursors);
-  const targetAim = getAimAngle(this, predictedPlayer);
+  if (Phaser.Input.Keyboard.JustDown(this.cursors.release)) {
+    releaseQueued = true;
+  }
 
-  predictedPlayer.angle = rotateTowards(
-    predictedPlayer.angle,
-    targetAim,
-    MAX_ANGULAR_SPEED * dt
+  const stepDt = 1 / rules.tickRate;
+  inputAccumulator += Math.min(delta / 1000, MAX_FRAME_TIME);
+  while (inputAccumulator >= stepDt) {
+    inputAccumulator -= stepDt;
+    const moveInput = getMoveInput(this.cursors);
+    // Snapped like the server does, so prediction runs on the same values.
+    const input = {
+      seq: ++inputSeq,
+      moveX: quantizeMove(moveInput.x),
+      moveY: quantizeMove(moveInput.y),
+      aim: quantizeAim(getAimAngle(this, predictedPlayer)),
+      release: releaseQueued,
+      clench: clenchHeld || this.cursors.clench.isDown
+    };
+    releaseQueued = false;
+    movePlayer(predictedPlayer, input, rules, stepDt, arenaMap);
+    decayStun(predictedPlayer, stepDt);
+    pendingInputs.push(input);
+    if (pendingInputs.length > MAX_PENDING_INPUTS) pendingInputs.shift();
+    sendInput(input);
+  }
+
+  const decay = Math.exp(-CORRECTION_DECAY * (delta / 1000));
+  correction.x *= decay;
+  correction.y *= decay;
+  correction.angle *= decay;
+
+  renderScene(
+    this,
+    {
+      ...predictedPlayer,
+      x: predictedPlayer.x + correction.x,
+      y: predictedPlayer.y + correction.y,
+      angle: wrapAngle(predictedPlayer.angle + correction.angle)
+    },
+    sampleSnapshots()
   );
-  predictedPlayer.x += moveInput.x * MOVE_SPEED * dt;
-  predictedPlayer.y += moveInput.y * MOVE_SPEED * dt;
-  predictedPlayer.x = Phaser.Math.Clamp(predictedPlayer.x, 60, VIRTUAL_WIDTH - 60);
-  predictedPlayer.y = Phaser.Math.Clamp(predictedPlayer.y, 80, VIRTUAL_HEIGHT - 60);
-
-  const serverPlayer = player;
-  const distance = Phaser.Math.Distance.Between(
-    predictedPlayer.x,
-    predictedPlayer.y,
-    serverPlayer.x,
-    serverPlayer.y
+}
+
+function reconcile(state) {
+  if (!predictedPlayer || state.phase !== "playing") return;
+  const player = state.players.find((p) => p.id === localId);
+  if (!player) return;
+  pendingInputs = pendingInputs.filter(
+    (input) => input.seq > player.lastInputSeq
   );
-  const angleDiff = Math.abs(wrapAngle(serverPlayer.angle - predictedPlayer.angle));
-  if (distance > 40 || angleDiff > 0.9) {
-    predictedPlayer.x = serverPlayer.x;
-    predictedPlayer.y = serverPlayer.y;
-    predictedPlayer.angle = serverPlayer.angle;
+  const before = {
+    x: predictedPlayer.x,
+    y: predictedPlayer.y,
+    angle: predictedPlayer.angle
+  };
+  predictedPlayer.x = player.x;
+  predictedPlayer.y = player.y;
+  predictedPlayer.angle = player.angle;
+  for (const key of MODIFIER_KEYS) predictedPlayer[key] = player[key];
+  predictedPlayer.stunTime = player.stunTime;
+  const stepDt = 1 / rules.tickRate;
+  for (const input of pendingInputs) {
+    movePlayer(predictedPlayer, input, rules, stepDt, arenaMap);
+    decayStun(predictedPlayer, stepDt);
+  }
+  correction.x += before.x - predictedPlayer.x;
+  correction.y += before.y - predictedPlayer.y;
+  correction.angle = wrapAngle(
+    correction.angle + before.angle - predictedPlayer.angle
+  );
+  if (Math.hypot(correction.x, correction.y) > CORRECTION_SNAP_DISTANCE) {
+    correction = { x: 0, y: 0, angle: 0 };
+  }
+}
+
+function localClock() {
+  return performance.now() / 1000;
+}
+
+function pushSnapshot(state) {
+  if (!Number.isFinite(state.serverTime)) return;
+  const last = snapshots[snapshots.length - 1];
+  if (last && state.tick === last.tick) return;
+  if (last && state.tick < last.tick) {
+    snapshots = [];
+  }
+  const offset = state.serverTime - localClock();
+  if (
+    serverClockOffset === null ||
+    Math.abs(offset - serverClockOffset) > CLOCK_RESYNC_THRESHOLD
+  ) {
+    serverClockOffset = offset;
   } else {
-    predictedPlayer.x = Phaser.Math.Linear(
-      predictedPlayer.x,
-      serverPlayer.x,
-      0.1
-    );
-    predictedPlayer.y = Phaser.Math.Linear(
-      predictedPlayer.y,
-      serverPlayer.y,
-      0.1
-    );
-    predictedPlayer.angle = rotateTowards(
-      predictedPlayer.angle,
-      serverPlayer.angle,
-      MAX_ANGULAR_SPEED * dt
-    );
+    // Late packets under-estimate the server clock, so only drift down slowly.
+    const rate = offset > serverClockOffset ? 0.5 : 0.02;
+    serverClockOffset += (offset - serverClockOffset) * rate;
   }
+  snapshots.push({
+    tick: state.tick,
+    time: state.serverTime,
+    players: state.players,
+    foods: state.foods
+  });
+  if (snapshots.length > SNAPSHOT_BUFFER_SIZE) snapshots.shift();
+}
 
-  const release = Phaser.Input.Keyboard.JustDown(this.cursors.release);
-  sendInput(time, moveInput, targetAim, release);
+function lerpEntities(from, to, t, withAngle) {
+  const previous = new Map(from.map((entity) => [entity.id, entity]));
+  return to.map((entity) => {
+    const prev = previous.get(entity.id);
+    if (!prev) return entity;
+    const result = {
+      ...entity,
+      x: prev.x + (entity.x - prev.x) * t,
+      y: prev.y + (entity.y - prev.y) * t
+    };
+    if (withAngle) {
+      result.angle = wrapAngle(
+        prev.angle + wrapAngle(entity.angle - prev.angle) * t
+      );
+    }
+    return result;
+  });
+}
 
-  renderScene(this, predictedPlayer, serverState);
+function sampleSnapshots() {
+  if (snapshots.length < 2 || serverClockOffset === null) {
+    return serverState;
+  }
+  const renderTime = localClock() + serverClockOffset - INTERPOLATION_DELAY;
+  let from = snapshots[snapshots.length - 2];
+  let to = snapshots[snapshots.length - 1];
+  if (renderTime <= snapshots[0].time) {
+    from = snapshots[0];
+    to = snapshots[0];
+  } else {
+    for (let i = 0; i < snapshots.length - 1; i += 1) {
+      if (renderTime < snapshots[i + 1].time) {
+        from = snapshots[i];
+        to = snapshots[i + 1];
+        break;
+      }
+    }
+  }
+  const span = to.time - from.time;
+  let t = span > 0 ? (renderTime - from.time) / span : 0;
+  if (renderTime > to.time) {
+    const overshoot = Math.min(renderTime - to.time, MAX_EXTRAPOLATION);
+    t = span > 0 ? 1 + overshoot / span : 1;
+  }
+  const poses = new Map(
+    lerpEntities(from.players, to.players, t, true).map((p) => [p.id, p])
+  );
+  return {
+    ...serverState,
+    players: serverState.players.map((player) => {
+      const pose = poses.get(player.id);
+      if (!pose) return player;
+      return { ...player, x: pose.x, y: pose.y, angle: pose.angle };
+    }),
+    foods: lerpEntities(from.foods, to.foods, t, false)
+  };
 }
 
 function getMoveInput(keys) {
@@ -473,16 +1009,16 @@ function getAimAngle(scene, player) {
   return Math.atan2(worldPoint.y - player.y, worldPoint.x - player.x);
 }
 
-function sendInput(time, move, aim, release) {
+function sendInput(input) {
   if (!socket || socket.readyState !== WebSocket.OPEN) return;
-  if (time - lastInputSent < 16) return;
-  lastInputSent = time;
   socket.send(
     JSON.stringify({
       type: "input",
-      move: { x: move.x, y: move.y },
-      aim,
-      release
+      seq: input.seq,
+      move: { x: input.moveX, y: input.moveY },
+      aim: input.aim,
+      release: input.release,
+      clench: input.clench
     })
   );
 }
@@ -513,36 +1049,218 @@ function renderScene(scene, localPlayer, state) {
         ...localPlayer,
         side: player.side,
         fullness: player.fullness,
-        mouthOpen: player.mouthOpen
+        mouthOpen: player.mouthOpen,
+        stamina: player.stamina,
+        clenching: player.clenching,
+        exhausted: player.exhausted
       };
     }
     return player;
   });
 
+  renderArena(g);
   renderPlayers(scene, g, overlay, players);
 
-  renderFoods(scene, g, players, state.foods);
+  const localView = players.find((player) => player.id === localId);
+  const foods = localPlayer
+    ? followLocalTip(state.foods, localView)
+    : state.foods;
+  renderFoods(scene, g, players, foods, state.serverTime);
 
   scene.uiText.setText(buildHud(players, state));
+  renderEatBursts(overlay, players);
+  renderDebugOverlay(overlay, localPlayer);
+  renderPhaseOverlay(scene, overlay, players, state);
+}
+
+function renderEatBursts(overlay, players) {
+  const now = localClock();
+  eatBursts = eatBursts.filter((burst) => now - burst.start < EAT_BURST_TIME);
+  for (const burst of eatBursts) {
+    const player = players.find((p) => p.id === burst.playerId);
+    if (!player) continue;
+    const mouth = mouthPosition(player, rules);
+    const progress = (now - burst.start) / EAT_BURST_TIME;
+    overlay.fillStyle(burst.color, 1 - progress);
+    for (let i = 0; i < 8; i += 1) {
+      const angle = (i / 8) * Math.PI * 2;
+      const dist = rules.mouthRadius * (0.6 + progress * 1.4);
+      overlay.fillCircle(
+        mouth.x + Math.cos(angle) * dist,
+        mouth.y + Math.sin(angle) * dist,
+        4 * (1 - progress) + 1
+      );
+    }
+  }
+}
+
+function toggleDebugOverlay() {
+  debugOverlay = !debugOverlay;
+  debugState = null;
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify({ type: "debug", enabled: debugOverlay }));
+  }
+  updateDebugInfo();
+}
+
+// Draws the server's own view of the hit zones (not the interpolated or
+// predicted poses), so mismatches with the sprites show up directly.
+function renderDebugOverlay(overlay, localPlayer) {
+  if (!debugOverlay || !debugState) return;
+  for (const player of debugState.players) {
+    drawCone(
+      overlay,
+      player.tip,
+      player.angle,
+      player.coneRadius,
+      debugState.coneHalfAngle,
+      DEBUG_SERVER_COLOR
+    );
+    overlay.lineStyle(1, DEBUG_SERVER_COLOR, 0.8);
+    overlay.strokeCircle(player.tip.x, player.tip.y, debugState.pickupCloseRadius);
+    overlay.lineStyle(2, 0xffd86b, 0.8);
+    overlay.strokeCircle(player.mouth.x, player.mouth.y, player.mouthRadius);
+    overlay.lineStyle(1, DEBUG_SERVER_COLOR, 0.6);
+    overlay.strokeCircle(player.x, player.y, rules.playerBodyRadius);
+    overlay.lineBetween(player.x, player.y, player.tip.x, player.tip.y);
+
+    if (localPlayer && player.id === localId) {
+      // Predicted ghost next to the authoritative one.
+      const tip = tipPosition(localPlayer, rules);
+      overlay.lineStyle(1, DEBUG_PREDICTED_COLOR, 0.8);
+      overlay.strokeCircle(localPlayer.x, localPlayer.y, rules.playerBodyRadius);
+      overlay.lineBetween(localPlayer.x, localPlayer.y, tip.x, tip.y);
+      overlay.lineBetween(player.x, player.y, localPlayer.x, localPlayer.y);
+    }
+  }
+
+  for (const food of debugState.foods) {
+    const color = DEBUG_FOOD_COLORS[food.state] || 0xffffff;
+    overlay.lineStyle(food.gripped ? 2 : 1, color, 0.9);
+    overlay.strokeCircle(food.x, food.y, food.radius);
+    for (const time of Object.values(food.mouthTimers)) {
+      if (time <= 0) continue;
+      const progress = Math.min(1, time / debugState.eatTime);
+      overlay.lineStyle(3, 0xffd86b, 0.9);
+      overlay.beginPath();
+      overlay.arc(
+        food.x,
+        food.y,
+        food.radius + DEBUG_TIMER_GAP,
+        -Math.PI / 2,
+        -Math.PI / 2 + progress * Math.PI * 2
+      );
+      overlay.strokePath();
+    }
+  }
+}
+
+function renderPhaseOverlay(scene, overlay, players, state) {
+  if (state.phase !== scene.lastPhase) {
+    if (state.phase === "round-over") {
+      scene.cameras.main.flash(250, 255, 240, 200);
+    }
+    scene.lastPhase = state.phase;
+  }
+  if (state.phase === "countdown") {
+    const remaining = phaseRemaining(state);
+    scene.phaseText.setText(String(Math.max(1, Math.ceil(remaining ?? 0))));
+    scene.phaseText.setVisible(true);
+    return;
+  }
+  if (state.phase === "round-over") {
+    const loser = players.find((p) => p.id === state.loserId);
+    if (loser) {
+      const mouth = mouthPosition(loser, rules);
+      overlay.lineStyle(4, 0xffd86b, 1);
+      overlay.strokeCircle(mouth.x, mouth.y, rules.mouthRadius * 1.6);
+    }
+    scene.phaseText.setText(`${lossText(state.results, sideLabel(loser?.side))}！`);
+    scene.phaseText.setVisible(true);
+    return;
+  }
+  scene.phaseText.setVisible(false);
+}
+
+function followLocalTip(foods, localPlayer) {
+  const serverPlayer = serverState.players.find((p) => p.id === localId);
+  if (!serverPlayer || !localPlayer) return foods;
+  const serverTip = tipPosition(serverPlayer, rules);
+  const tip = tipPosition(localPlayer, rules);
+  const latest = new Map(serverState.foods.map((food) => [food.id, food]));
+  return foods.map((food) => {
+    const current = latest.get(food.id);
+    if (!current || current.heldBy !== localId) return food;
+    return {
+      ...current,
+      x: tip.x + current.x - serverTip.x,
+      y: tip.y + current.y - serverTip.y
+    };
+  });
+}
+
+function foodFade(food, serverTime) {
+  if (!food.expiresAt || !Number.isFinite(serverTime)) return 1;
+  return clamp((food.expiresAt - serverTime) / rules.foodFadeTime, 0, 1);
+}
+
+function renderArena(graphics) {
+  for (const zone of arenaMap.zones) {
+    graphics.fillStyle(0x7fb8d6, 0.12);
+    graphics.fillRect(zone.x, zone.y, zone.width, zone.height);
+    // A few streaks pointing the way the wind blows.
+    const length = Math.hypot(zone.forceX, zone.forceY);
+    if (length === 0) continue;
+    const dx = (zone.forceX / length) * 24;
+    const dy = (zone.forceY / length) * 24;
+    graphics.lineStyle(2, 0x7fb8d6, 0.5);
+    for (let i = 1; i <= 3; i += 1) {
+      const x = zone.x + (zone.width * i) / 4;
+      const y = zone.y + (zone.height * i) / 4;
+      graphics.lineBetween(x - dx, y - dy, x + dx, y + dy);
+    }
+  }
+  graphics.fillStyle(0x5b3a29, 0.9);
+  graphics.lineStyle(2, 0x2b1a12, 1);
+  for (const box of arenaMap.obstacles) {
+    graphics.fillRect(box.x, box.y, box.width, box.height);
+    graphics.strokeRect(box.x, box.y, box.width, box.height);
+  }
+  graphics.lineStyle(4, 0x8b5a3c, 0.9);
+  for (const shelf of arenaMap.shelves) {
+    graphics.lineBetween(shelf.x, shelf.y, shelf.x + shelf.width, shelf.y);
+  }
+  graphics.lineStyle(3, 0x8b5a3c, 0.9);
+  graphics.lineBetween(0, arenaMap.tableY, VIRTUAL_WIDTH, arenaMap.tableY);
 }
 
-function renderFoods(scene, graphics, players, foods) {
+function renderFoods(scene, graphics, players, foods, serverTime) {
   const seen = new Set();
   for (const food of foods) {
     seen.add(food.id);
-    const textureKey = getFoodTextureKey(food.value);
+    const definition = getFoodDefinition(food.type);
+    const textureKey = definition.texture;
+    const fade = foodFade(food, serverTime);
+    const size = FOOD_BASE_SIZE * definition.size * (0.5 + fade * 0.5);
+    if (definition.powerUp) {
+      renderPowerUp(scene, graphics, food, definition, size, fade);
+      continue;
+    }
     if (texturesEnabled && scene.textures.exists(textureKey)) {
       let sprite = scene.foodSprites.get(food.id);
       if (!sprite) {
         sprite = scene.add.image(food.x, food.y, textureKey);
-        const size = FOOD_BASE_SIZE * getFoodScale(food.value);
-        sprite.setDisplaySize(size, size);
         sprite.setDepth(2);
         scene.foodSprites.set(food.id, sprite);
       } else if (sprite.texture.key !== textureKey) {
         sprite.setTexture(textureKey);
-        const size = FOOD_BASE_SIZE * getFoodScale(food.value);
-        sprite.setDisplaySize(size, size);
+      }
+      sprite.setDisplaySize(size, size);
+      sprite.setAlpha(fade);
+      if (definition.tint !== null) {
+        sprite.setTint(definition.tint);
+      } else {
+        sprite.clearTint();
       }
       sprite.setPosition(food.x, food.y);
     } else {
@@ -551,23 +1269,47 @@ function renderFoods(scene, graphics, players, foods) {
         sprite.destroy();
         scene.foodSprites.delete(food.id);
       }
-      let color = 0xf5d76e;
+      let color = definition.tint ?? 0xf5d76e;
       if (food.state === "held") {
         const holder = players.find((p) => p.id === food.heldBy);
         color = holder?.side === "left" ? 0x4fc3f7 : 0xff7043;
       }
-      graphics.fillStyle(color, 1);
-      graphics.fillCircle(food.x, food.y, 10);
+      graphics.fillStyle(color, fade);
+      graphics.fillCircle(food.x, food.y, size / 2);
     }
   }
-  for (const [id, sprite] of scene.foodSprites.entries()) {
-    if (!seen.has(id)) {
-      sprite.destroy();
-      scene.foodSprites.delete(id);
+  for (const sprites of [scene.foodSprites, scene.powerUpLabels]) {
+    for (const [id, sprite] of sprites.entries()) {
+      if (!seen.has(id)) {
+        sprite.destroy();
+        sprites.delete(id);
+      }
     }
   }
 }
 
+function renderPowerUp(scene, graphics, food, definition, size, fade) {
+  const radius = size / 2;
+  graphics.fillStyle(definition.color, 0.35 * fade);
+  graphics.fillCircle(food.x, food.y, radius + 5);
+  graphics.fillStyle(0x111820, 0.9 * fade);
+  graphics.fillCircle(food.x, food.y, radius);
+  graphics.lineStyle(2, definition.color, fade);
+  graphics.strokeCircle(food.x, food.y, radius);
+  let label = scene.powerUpLabels.get(food.id);
+  if (!label) {
+    label = scene.add.text(food.x, food.y, definition.label, {
+      fontSize: "16px",
+      color: `#${definition.color.toString(16).padStart(6, "0")}`
+    });
+    label.setOrigin(0.5, 0.5);
+    label.setDepth(2);
+    scene.powerUpLabels.set(food.id, label);
+  }
+  label.setPosition(food.x, food.y);
+  label.setAlpha(fade);
+}
+
 function renderPlayers(scene, graphics, overlay, players) {
   const seen = new Set();
   for (const player of players) {
@@ -576,7 +1318,8 @@ function renderPlayers(scene, graphics, overlay, players) {
     const facingRight = Math.cos(player.angle) >= 0;
     const bodyKey = keys?.body;
     const chopstickKey = keys?.chopstick;
-    const mouthKey = player.mouthOpen ? keys?.mouthOpen : keys?.mouthClosed;
+    const mouthOpen = player.mouthOpen && !player.clenching;
+    const mouthKey = mouthOpen ? keys?.mouthOpen : keys?.mouthClosed;
     const canUseTextures = texturesEnabled && Boolean(keys);
     const hasBody = canUseTextures && bodyKey && scene.textures.exists(bodyKey);
     const hasChopstick =
@@ -612,21 +1355,16 @@ function renderPlayers(scene, graphics, overlay, players) {
       if (!chopstick) {
         chopstick = scene.add.image(player.x, player.y, chopstickKey);
         chopstick.setOrigin(0.1, 0.5);
-        const desiredLength = BODY_SIZE * CHOPSTICK_DISPLAY_SCALE;
-        const baseWidth = chopstick.width || 1;
-        chopstick.setData("baseWidth", baseWidth);
-        const localScale = desiredLength / baseWidth;
-        chopstick.setScale(localScale);
+        chopstick.setData("baseWidth", chopstick.width || 1);
         chopstick.setDepth(3);
         scene.chopstickSprites.set(player.id, chopstick);
       } else if (chopstick.texture.key !== chopstickKey) {
         chopstick.setTexture(chopstickKey);
-        const baseWidth =
-          chopstick.getData("baseWidth") || chopstick.width || 1;
-        const desiredLength = BODY_SIZE * CHOPSTICK_DISPLAY_SCALE;
-        const localScale = desiredLength / baseWidth;
-        chopstick.setScale(localScale);
       }
+      const baseWidth = chopstick.getData("baseWidth") || chopstick.width || 1;
+      const desiredLength =
+        BODY_SIZE * CHOPSTICK_DISPLAY_SCALE * (player.reachScale ?? 1);
+      chopstick.setScale(desiredLength / baseWidth);
       chopstick.setPosition(player.x, player.y);
       chopstick.setRotation(player.angle);
     } else {
@@ -635,7 +1373,7 @@ function renderPlayers(scene, graphics, overlay, players) {
         chopstick.destroy();
         scene.chopstickSprites.delete(player.id);
       }
-      const tip = tipPosition(player);
+      const tip = tipPosition(player, rules);
       graphics.lineStyle(4, 0xf2e9d8, 1);
       graphics.beginPath();
       graphics.moveTo(player.x, player.y);
@@ -643,32 +1381,32 @@ function renderPlayers(scene, graphics, overlay, players) {
       graphics.strokePath();
     }
 
-    const mouth = mouthPosition(player);
+    const mouth = mouthPosition(player, rules);
+    const mouthScale = player.mouthScale ?? 1;
     if (hasMouth) {
       let mouthSprite = scene.mouthSprites.get(player.id);
-      const prevOpen = mouthSprite?.getData("mouthOpen");
       const baseSize =
         player.side === "right" ? MOUTH_SIZE * RIGHT_MOUTH_SCALE : MOUTH_SIZE;
-      const size = player.mouthOpen
-        ? baseSize * MOUTH_OPEN_SCALE
-        : baseSize;
+      const size =
+        (mouthOpen ? baseSize * MOUTH_OPEN_SCALE : baseSize) * mouthScale;
       if (!mouthSprite) {
         mouthSprite = scene.add.image(
           mouth.x,
           mouth.y,
           mouthKey
         );
-        mouthSprite.setDisplaySize(size, size);
         mouthSprite.setDepth(1);
         scene.mouthSprites.set(player.id, mouthSprite);
       } else if (mouthSprite.texture.key !== mouthKey) {
         mouthSprite.setTexture(mouthKey);
-        mouthSprite.setDisplaySize(size, size);
-      } else if (prevOpen !== player.mouthOpen) {
-        mouthSprite.setDisplaySize(size, size);
+      }
+      mouthSprite.setDisplaySize(size, size);
+      if (player.clenching) {
+        mouthSprite.setTint(CLENCH_TINT);
+      } else {
+        mouthSprite.clearTint();
       }
       mouthSprite.setPosition(mouth.x, mouth.y);
-      mouthSprite.setData("mouthOpen", player.mouthOpen);
       mouthSprite.setFlipX(!facingRight);
     } else {
       const mouthSprite = scene.mouthSprites.get(player.id);
@@ -676,17 +1414,56 @@ function renderPlayers(scene, graphics, overlay, players) {
         mouthSprite.destroy();
         scene.mouthSprites.delete(player.id);
       }
-      graphics.fillStyle(0xffd86b, 0.35);
-      graphics.fillCircle(mouth.x, mouth.y, MOUTH_RADIUS);
-      graphics.lineStyle(2, 0xffd86b, 0.9);
+      const mouthColor = player.clenching ? CLENCH_TINT : 0xffd86b;
+      graphics.fillStyle(mouthColor, 0.35);
+      graphics.fillCircle(mouth.x, mouth.y, rules.mouthRadius * mouthScale);
+      graphics.lineStyle(2, mouthColor, 0.9);
       graphics.strokeCircle(
         mouth.x,
         mouth.y,
-        MOUTH_RADIUS
+        rules.mouthRadius * mouthScale
+      );
+    }
+
+    if (player.coneScale > 1) {
+      // Magnet: show the enlarged pickup cone around the tip.
+      drawCone(
+        graphics,
+        tipPosition(player, rules),
+        player.angle,
+        rules.coneRadius * player.coneScale,
+        rules.coneHalfAngle,
+        0xc792ea
       );
     }
 
-    // Debug overlays removed for clean presentation.
+    if (player.stamina < rules.maxStamina) {
+      const barX = player.x - STAMINA_BAR_WIDTH / 2;
+      const barY = player.y + BODY_SIZE * 0.4;
+      graphics.fillStyle(0x111820, 0.7);
+      graphics.fillRect(barX, barY, STAMINA_BAR_WIDTH, 5);
+      graphics.fillStyle(player.exhausted ? 0xf38ba0 : 0x8fd694, 1);
+      graphics.fillRect(
+        barX,
+        barY,
+        (STAMINA_BAR_WIDTH * player.stamina) / rules.maxStamina,
+        5
+      );
+    }
+
+    if (player.turnScale > 1 || player.moveScale < 1) {
+      // Spicy food speeds the chopsticks up, heavy food weighs the player down.
+      const color = player.turnScale > 1 ? 0xff5a36 : 0xc9a27e;
+      graphics.lineStyle(3, color, 0.8);
+      graphics.strokeCircle(player.x, player.y, BODY_SIZE * 0.45);
+    }
+
+    if (player.stunTime > 0) {
+      // Clash spark: shrinks away as the stun wears off.
+      const tip = tipPosition(player, rules);
+      graphics.lineStyle(2, 0xffffff, 0.9);
+      graphics.strokeCircle(tip.x, tip.y, 8 + player.stunTime * 40);
+    }
   }
 
   cleanupPlayerSprites(scene.playerSprites, seen);
@@ -703,22 +1480,43 @@ function cleanupPlayerSprites(map, seen) {
   }
 }
 
-function getFoodTextureKey(value) {
-  return FOOD_VALUE_TO_KEY.get(value) || "food_01";
-}
-
-function getFoodScale(value) {
-  return FOOD_VALUE_TO_SCALE.get(value) || 2.0;
-}
-
 function buildHud(players, state) {
   const left = players.find((p) => p.side === "left");
   const right = players.find((p) => p.side === "right");
+  const maxFullness = rules.maxFullness;
   const leftValue = left ? Math.min(left.fullness, maxFullness) : 0;
   const rightValue = right ? Math.min(right.fullness, maxFullness) : 0;
   const leftBar = makeBar(leftValue, maxFullness);
   const rightBar = makeBar(rightValue, maxFullness);
-  return `左侧饱腹 ${leftBar}  ${leftValue}/${maxFullness}\n右侧饱腹 ${rightBar}  ${rightValue}/${maxFullness}`;
+  const lines = [
+    `左侧饱腹 ${leftBar}  ${Math.round(leftValue)}/${maxFullness}`,
+    `右侧饱腹 ${rightBar}  ${Math.round(rightValue)}/${maxFullness}`
+  ];
+  const timing = [];
+  if (state.suddenDeath) {
+    timing.push("加时赛：掉落加快，食物更顶饱");
+  } else if (state.phase === "playing" && rules.timeLimit > 0) {
+    timing.push(`剩余 ${formatDuration(Math.ceil(phaseRemaining(state) ?? 0))}`);
+  }
+  if (rules.digestRate > 0) timing.push(`消化 ${rules.digestRate}/秒`);
+  if (timing.length > 0) lines.push(timing.join(" · "));
+  const now = localClock();
+  for (const entry of eventFeed) {
+    if (entry.until > now) lines.push(entry.text);
+  }
+  for (const player of [left, right]) {
+    const effects = describeEffects(state, player);
+    if (effects) lines.push(effects);
+  }
+  const series = state.series;
+  if (series && series.bestOf > 1) {
+    const leftWins = left?.roundWins || 0;
+    const rightWins = right?.roundWins || 0;
+    lines.push(
+      `${series.bestOf} 局 ${Math.ceil(series.bestOf / 2)} 胜 · 第 ${series.round} 局 · 比分 ${leftWins} : ${rightWins}`
+    );
+  }
+  return lines.join("\n");
 }
 
 function makeBar(value, max) {
@@ -749,11 +1547,49 @@ function drawCone(graphics, origin, angle, radius, halfAngle, color) {
 
 initRoom();
 updateReadyButton();
-readyBtn.addEventListener("click", () => {
-  if (readyBtn.disabled) return;
+function toggleReady() {
   localReady = !localReady;
   updateReadyButton();
+  if (serverState) updateResultsPanel(serverState);
   sendReady();
+}
+
+readyBtn.addEventListener("click", () => {
+  if (readyBtn.disabled) return;
+  toggleReady();
+});
+
+resultsReadyBtn.addEventListener("click", () => {
+  toggleReady();
+});
+
+botBtn.addEventListener("click", toggleBot);
+
+seatBtn.addEventListener("click", () => {
+  if (!socket || socket.readyState !== WebSocket.OPEN) return;
+  socket.send(JSON.stringify({ type: "sit" }));
+});
+
+buildSetupForm();
+
+setupBtn.addEventListener("click", () => {
+  setupModal.classList.remove("hidden");
+});
+
+setupClose.addEventListener("click", () => {
+  setupModal.classList.add("hidden");
+});
+
+setupModal.addEventListener("click", (event) => {
+  if (event.target === setupModal) {
+    setupModal.classList.add("hidden");
+  }
+});
+
+setupPreset.addEventListener("change", updateSetupPlaceholders);
+
+setupCreate.addEventListener("click", () => {
+  createConfiguredRoom();
 });
 
 newRoomBtn.addEventListener("click", () => {
@@ -798,6 +1634,17 @@ if (typeof window !== "undefined") {
   });
 }
 
+if (clenchBtn) {
+  const setClench = (held) => (event) => {
+    event.preventDefault();
+    clenchHeld = held;
+  };
+  clenchBtn.addEventListener("pointerdown", setClench(true));
+  clenchBtn.addEventListener("pointerup", setClench(false));
+  clenchBtn.addEventListener("pointercancel", setClench(false));
+  clenchBtn.addEventListener("pointerleave", setClench(false));
+}
+
 if (aimPad) {
   const padRadius = 48;
   const handlePointer = (event) => {
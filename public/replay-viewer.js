@@ -0,0 +1,290 @@
+import {
+  DEFAULT_RULES,
+  foodRadius,
+  mouthPosition,
+  tipPosition
+} from "/shared/simulation.js";
+import { getFoodDefinition } from "/shared/foods.js";
+import {
+  REPLAY_VERSION,
+  createReplayRoom,
+  loadReplayState,
+  matchesChecksum,
+  saveReplayState,
+  stepReplay
+} from "/shared/replay.js";
+import { describeEvent, formatDuration, sideLabel } from "/shared/labels.js";
+
+const replayList = document.getElementById("replayList");
+const replayFile = document.getElementById("replayFile");
+const replayRound = document.getElementById("replayRound");
+const playBtn = document.getElementById("replayPlay");
+const seekInput = document.getElementById("replaySeek");
+const timeEl = document.getElementById("replayTime");
+const speedSelect = document.getElementById("replaySpeed");
+const cameraBtn = document.getElementById("replayCamera");
+const eventsEl = document.getElementById("replayEvents");
+const warningEl = document.getElementById("replayWarning");
+
+const VIRTUAL_WIDTH = DEFAULT_RULES.width;
+const VIRTUAL_HEIGHT = DEFAULT_RULES.height;
+// Re-simulating from the start on every scrub gets slow for long matches, so
+// the first pass keeps a room snapshot every KEYFRAME_STEPS steps.
+const KEYFRAME_STEPS = 120;
+const MIN_ZOOM = 0.5;
+const MAX_ZOOM = 4;
+const SIDE_COLORS = { left: 0x6ec6ff, right: 0xff7043 };
+
+let replay = null;
+let round = null;
+let room = null;
+let keyframes = [];
+let events = [];
+let playing = false;
+let speed = 1;
+let accumulator = 0;
+let scene = null;
+
+const config = {
+  type: Phaser.AUTO,
+  parent: "game",
+  width: window.innerWidth,
+  height: window.innerHeight,
+  backgroundColor: "#111820",
+  scene: { create, update }
+};
+
+function playerLabel(id) {
+  const entry = round?.players.find((player) => player.id === id);
+  return entry ? sideLabel(entry.side) : "?";
+}
+
+async function loadReplayList() {
+  const params = new URLSearchParams(window.location.search);
+  const requested = params.get("id");
+  try {
+    const response = await fetch("/replays");
+    const entries = await response.json();
+    replayList.innerHTML = "";
+    for (const entry of entries) {
+      const option = document.createElement("option");
+      option.value = entry.id;
+      option.textContent = `${entry.id} · ${new Date(entry.savedAt).toLocaleString()}`;
+      replayList.appendChild(option);
+    }
+  } catch {
+    replayList.innerHTML = "";
+  }
+  const id = requested || replayList.value;
+  if (!id) return;
+  replayList.value = id;
+  const response = await fetch(`/replays/${encodeURIComponent(id)}.json`);
+  if (response.ok) openReplay(await response.json());
+}
+
+function openReplay(data) {
+  const supported = data?.version >= 1 && data.version <= REPLAY_VERSION;
+  if (!supported || !Array.isArray(data.rounds)) {
+    timeEl.textContent = "无法识别的回放文件";
+    return;
+  }
+  replay = data;
+  replayRound.innerHTML = "";
+  replay.rounds.forEach((_, index) => {
+    const option = document.createElement("option");
+    option.value = String(index);
+    option.textContent = `第 ${index + 1} 局`;
+    replayRound.appendChild(option);
+  });
+  replayRound.style.display = replay.rounds.length > 1 ? "" : "none";
+  openRound(0);
+}
+
+// Runs the whole round once to collect keyframes and the event log, and
+// checks the re-run against the recorded checksums.
+function openRound(index) {
+  round = replay.rounds[index];
+  room = createReplayRoom(replay, index);
+  keyframes = [saveReplayState(room)];
+  let divergedAt = null;
+  while (stepReplay(room, round, replay.dt)) {
+    if (divergedAt === null && !matchesChecksum(room, round)) {
+      divergedAt = room.stepCount;
+    }
+    if (room.stepCount % KEYFRAME_STEPS === 0) {
+      keyframes.push(saveReplayState(room));
+    }
+  }
+  warningEl.textContent =
+    divergedAt === null
+      ? ""
+      : `本浏览器的计算结果在 ${formatDuration(divergedAt * replay.dt)} 前后与原比赛不一致，之后的画面可能与实际对局不同`;
+  events = room.events;
+  seekInput.max = String(round.steps);
+  renderEventList();
+  seek(0);
+  setPlaying(false);
+}
+
+function seek(target) {
+  const stepIndex = Math.max(0, Math.min(round.steps, Math.round(target)));
+  const keyframe = keyframes[Math.floor(stepIndex / KEYFRAME_STEPS)];
+  loadReplayState(room, keyframe);
+  while (room.stepCount < stepIndex && stepReplay(room, round, replay.dt));
+  room.events = [];
+  accumulator = 0;
+  updateTimeline();
+}
+
+function setPlaying(value) {
+  playing = value && room !== null && room.stepCount < round.steps;
+  playBtn.textContent = playing ? "暂停" : "播放";
+}
+
+function updateTimeline() {
+  seekInput.value = String(room.stepCount);
+  timeEl.textContent = `${formatDuration(room.stepCount * replay.dt)} / ${formatDuration(round.steps * replay.dt)}`;
+  for (const row of eventsEl.children) {
+    row.classList.toggle("past", Number(row.dataset.tick) <= room.stepCount);
+  }
+}
+
+function renderEventList() {
+  eventsEl.innerHTML = "";
+  for (const event of events) {
+    if (event.type === "pickup") continue;
+    const row = document.createElement("div");
+    row.dataset.tick = String(event.tick);
+    row.textContent = `${formatDuration(event.tick * replay.dt)} ${describeEvent(event, playerLabel, { all: true })}`;
+    // Jump a little before the event so the lead-up is visible.
+    row.addEventListener("click", () => {
+      seek(event.tick - Math.round(1 / replay.dt));
+      setPlaying(false);
+    });
+    eventsEl.appendChild(row);
+  }
+}
+
+function create() {
+  scene = this;
+  this.graphics = this.add.graphics();
+  resetCamera(this);
+  this.input.on("pointermove", (pointer) => {
+    if (!pointer.isDown) return;
+    const camera = this.cameras.main;
+    camera.scrollX -= (pointer.x - pointer.prevPosition.x) / camera.zoom;
+    camera.scrollY -= (pointer.y - pointer.prevPosition.y) / camera.zoom;
+  });
+  this.input.on("wheel", (pointer, objects, dx, dy) => {
+    const camera = this.cameras.main;
+    camera.setZoom(
+      Phaser.Math.Clamp(camera.zoom * (dy > 0 ? 0.9 : 1.1), MIN_ZOOM, MAX_ZOOM)
+    );
+  });
+  this.input.keyboard.on("keydown-SPACE", () => setPlaying(!playing));
+  window.addEventListener("resize", () => {
+    this.scale.resize(window.innerWidth, window.innerHeight);
+    resetCamera(this);
+  });
+}
+
+function resetCamera(target) {
+  const camera = target.cameras.main;
+  camera.setZoom(
+    Math.min(window.innerWidth / VIRTUAL_WIDTH, window.innerHeight / VIRTUAL_HEIGHT)
+  );
+  camera.centerOn(VIRTUAL_WIDTH / 2, VIRTUAL_HEIGHT / 2);
+}
+
+function update(time, delta) {
+  if (!room) return;
+  if (playing) {
+    accumulator += (delta / 1000) * speed;
+    while (accumulator >= replay.dt) {
+      accumulator -= replay.dt;
+      if (!stepReplay(room, round, replay.dt)) {
+        setPlaying(false);
+        break;
+      }
+    }
+    room.events = [];
+    updateTimeline();
+  }
+  render(this.graphics);
+}
+
+function render(graphics) {
+  const rules = room.rules;
+  graphics.clear();
+  graphics.lineStyle(2, 0x3e5568, 1);
+  graphics.strokeRect(0, 0, rules.width, rules.height);
+
+  for (const zone of room.map.zones) {
+    graphics.fillStyle(0x6ec6ff, 0.08);
+    graphics.fillRect(zone.x, zone.y, zone.width, zone.height);
+  }
+  graphics.fillStyle(0x6b4f3a, 1);
+  for (const box of room.map.obstacles) {
+    graphics.fillRect(box.x, box.y, box.width, box.height);
+  }
+  graphics.lineStyle(3, 0xc9a27e, 1);
+  for (const shelf of room.map.shelves) {
+    graphics.lineBetween(shelf.x, shelf.y, shelf.x + shelf.width, shelf.y);
+  }
+  graphics.lineBetween(0, room.map.tableY, rules.width, room.map.tableY);
+
+  for (const player of room.players.values()) {
+    const color = SIDE_COLORS[player.side];
+    const tip = tipPosition(player, rules);
+    const mouth = mouthPosition(player, rules);
+    graphics.lineStyle(2, color, 1);
+    graphics.strokeCircle(player.x, player.y, rules.playerBodyRadius);
+    graphics.lineStyle(4, 0xf2e9d8, 1);
+    graphics.lineBetween(player.x, player.y, tip.x, tip.y);
+    graphics.lineStyle(2, player.clenching ? 0x9aa5b1 : 0xffd86b, 1);
+    graphics.strokeCircle(mouth.x, mouth.y, rules.mouthRadius * player.mouthScale);
+    graphics.lineStyle(1, color, 0.3);
+    graphics.strokeCircle(tip.x, tip.y, rules.coneRadius * player.coneScale);
+  }
+
+  for (const food of room.foods) {
+    const definition = getFoodDefinition(food.type);
+    graphics.fillStyle(definition.color ?? definition.tint ?? 0xf2e9d8, 1);
+    const radius = foodRadius(food, rules);
+    graphics.fillCircle(food.x, food.y, radius);
+    if (food.state === "held") {
+      graphics.lineStyle(2, SIDE_COLORS[room.players.get(food.heldBy)?.side] ?? 0xffffff, 1);
+      graphics.strokeCircle(food.x, food.y, radius + 3);
+    }
+  }
+}
+
+playBtn.addEventListener("click", () => setPlaying(!playing));
+seekInput.addEventListener("input", () => {
+  if (room) seek(Number(seekInput.value));
+});
+speedSelect.addEventListener("change", () => {
+  speed = Number(speedSelect.value) || 1;
+});
+cameraBtn.addEventListener("click", () => {
+  if (scene) resetCamera(scene);
+});
+replayRound.addEventListener("change", () => {
+  openRound(Number(replayRound.value));
+});
+replayList.addEventListener("change", async () => {
+  const response = await fetch(`/replays/${encodeURIComponent(replayList.value)}.json`);
+  if (response.ok) openReplay(await response.json());
+});
+replayFile.addEventListener("change", async () => {
+  const file = replayFile.files[0];
+  if (!file) return;
+  try {
+    openReplay(JSON.parse(await file.text()));
+  } catch {
+    timeEl.textContent = "无法识别的回放文件";
+  }
+});
+
+new Phaser.Game(config);
+loadReplayList();
@@ -0,0 +1,133 @@
+import {
+  mouthPosition,
+  normalize,
+  opponentOf,
+  tipPosition,
+  wrapAngle
+} from "../shared/simulation.js";
+import { getFoodDefinition } from "../shared/foods.js";
+
+// Practice opponents. A bot only ever produces the same input messages a
+// browser sends; the room queues them like any other player's, so the bot
+// gets no more authority than a human.
+//   reaction     ticks between decisions (it keeps steering toward the last
+//                decision in between)
+//   aimNoise     radians of random error added to each decision's aim
+//   hesitation   chance a decision is to stand still
+//   dodge        chance to react to food coming at its mouth
+//   lookahead    seconds of food motion it leads its grab by
+export const BOT_LEVELS = {
+  easy: { reaction: 20, aimNoise: 0.35, hesitation: 0.3, dodge: 0, lookahead: 0 },
+  normal: {
+    reaction: 10,
+    aimNoise: 0.15,
+    hesitation: 0.1,
+    dodge: 0.5,
+    lookahead: 0.15
+  },
+  hard: { reaction: 4, aimNoise: 0.04, hesitation: 0, dodge: 0.9, lookahead: 0.3 }
+};
+
+// Distance from its mouth at which an opponent's food counts as incoming.
+const DODGE_RADIUS = 140;
+// Close enough that the tip stops chasing the target point.
+const ARRIVE_RADIUS = 8;
+
+// `random` lets headless runs (server/simulate.js) make bots reproducible.
+export function createBot(level, random = Math.random) {
+  const settings = BOT_LEVELS[level] || BOT_LEVELS.normal;
+  let seq = 0;
+  let plan = null;
+  let untilNextPlan = 0;
+  return {
+    level: BOT_LEVELS[level] ? level : "normal",
+    think(room, player) {
+      if (untilNextPlan <= 0 || !plan) {
+        plan = decide(room, player, settings, random);
+        untilNextPlan = settings.reaction;
+      }
+      untilNextPlan -= 1;
+      seq += 1;
+      return steer(room, player, plan, seq);
+    }
+  };
+}
+
+function decide(room, player, settings, random) {
+  const rules = room.rules;
+  const opponent = opponentOf(room, player);
+  const noise = (random() * 2 - 1) * settings.aimNoise;
+  if (random() < settings.hesitation) return { type: "idle", noise };
+
+  const mouth = mouthPosition(player, rules);
+  const incoming = room.foods.find(
+    (food) =>
+      food.state === "held" &&
+      food.heldBy !== player.id &&
+      Math.hypot(food.x - mouth.x, food.y - mouth.y) < DODGE_RADIUS
+  );
+  if (incoming && random() < settings.dodge) {
+    return { type: "dodge", from: { x: incoming.x, y: incoming.y }, noise };
+  }
+
+  if (player.holdingFoodId) {
+    return opponent
+      ? { type: "feed", target: mouthPosition(opponent, rules), noise }
+      : { type: "idle", noise };
+  }
+
+  const tip = tipPosition(player, rules);
+  const held = room.foods.find(
+    (food) => food.state === "held" && food.heldBy !== player.id
+  );
+  if (held && Math.hypot(held.x - tip.x, held.y - tip.y) <= rules.snatchRadius) {
+    return { type: "snatch", target: { x: held.x, y: held.y }, noise };
+  }
+
+  let best = null;
+  let bestDist = Infinity;
+  for (const food of room.foods) {
+    if (food.state !== "free") continue;
+    if (getFoodDefinition(food.type).value < 0) continue;
+    const x = food.x + food.vx * settings.lookahead;
+    const y = food.y + food.vy * settings.lookahead;
+    const dist = Math.hypot(x - tip.x, y - tip.y);
+    if (dist < bestDist) {
+      best = { x, y };
+      bestDist = dist;
+    }
+  }
+  return best ? { type: "grab", target: best, noise } : { type: "idle", noise };
+}
+
+function steer(room, player, plan, seq) {
+  const rules = room.rules;
+  const input = {
+    type: "input",
+    seq,
+    move: { x: 0, y: 0 },
+    aim: player.input.aim,
+    release: false,
+    clench: false
+  };
+  if (plan.type === "dodge") {
+    const mouth = mouthPosition(player, rules);
+    const away = normalize(mouth.x - plan.from.x, mouth.y - plan.from.y);
+    input.move = away;
+    input.clench = player.stamina > rules.maxStamina * 0.2;
+    return input;
+  }
+  if (plan.type === "idle") return input;
+
+  const tip = tipPosition(player, rules);
+  const { x, y } = plan.target;
+  input.aim = wrapAngle(Math.atan2(y - player.y, x - player.x) + plan.noise);
+  if (Math.hypot(x - tip.x, y - tip.y) > ARRIVE_RADIUS) {
+    input.move = normalize(x - tip.x, y - tip.y);
+  }
+  if (plan.type === "snatch") {
+    input.release = true;
+    plan.type = "idle";
+  }
+  return input;
+}
@@ -1,56 +1,97 @@
 import express from "express";
+import fs from "fs";
 import http from "http";
 import { WebSocketServer } from "ws";
 import path from "path";
+import { createHash, randomUUID, timingSafeEqual } from "crypto";
 import { fileURLToPath } from "url";
+import {
+  DEFAULT_RULES,
+  foodRadius,
+  mouthPosition,
+  queueInput,
+  resetPlayer,
+  resolveTimeLimit,
+  spawnPose,
+  step,
+  tipPosition
+} from "../shared/simulation.js";
+import {
+  KEYFRAME_INTERVAL,
+  SNAPSHOT_HISTORY,
+  STATE_FORMATS,
+  encodeSnapshot,
+  CLOSE_CODES,
+  MAX_ROOM_PASSWORD_LENGTH,
+  ROOM_ID_PATTERN,
+  quantizeState,
+  readInputMessage
+} from "../shared/protocol.js";
+import {
+  CONFIGURABLE_RULES,
+  resolveRoomRules,
+  summarizeRules
+} from "../shared/rules.js";
+import { DEFAULT_MAP_ID, createMap, summarizeMap } from "../shared/maps.js";
+import { createRandom, randomSeed } from "../shared/random.js";
+import { createReplay, recordRound } from "../shared/replay.js";
+import { BOT_LEVELS, createBot } from "./bot.js";
+import {
+  MAX_MESSAGE_BYTES,
+  createRateLimiter,
+  parseMessage
+} from "./messages.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const PUBLIC_DIR = path.resolve(__dirname, "../public");
+const SHARED_DIR = path.resolve(__dirname, "../shared");
+const MAPS_DIR = path.resolve(__dirname, "maps");
 
-const DEFAULT_PORT = process.env.PORT ? Number(process.env.PORT) : 3000;
+// Numeric settings from the environment. A value that does not parse or is
+// out of range falls back to the default with a warning instead of turning
+// into NaN and silently disabling the limit it configures.
+function readEnvNumber(name, fallback, options = {}) {
+  const { integer = false, allowZero = false } = options;
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === "") return fallback;
+  const value = Number(raw);
+  const valid = integer ? Number.isInteger(value) : Number.isFinite(value);
+  if (valid && (value > 0 || (allowZero && value === 0))) return value;
+  const sign = allowZero ? "a non-negative" : "a positive";
+  const expected = `${sign} ${integer ? "integer" : "number"}`;
+  console.warn(
+    `Ignoring ${name}=${JSON.stringify(raw)}: expected ${expected}, using ${fallback}`
+  );
+  return fallback;
+}
+
+const REPLAYS_DIR = process.env.REPLAYS_DIR
+  ? path.resolve(process.env.REPLAYS_DIR)
+  : path.resolve(__dirname, "replays");
+const MAX_REPLAYS = readEnvNumber("MAX_REPLAYS", 200, { integer: true });
+const REPLAY_LIST_LIMIT = 50;
+
+const DEFAULT_PORT = readEnvNumber("PORT", 3000, { integer: true });
 const MAX_PORT_TRIES = 10;
 let activePort = DEFAULT_PORT;
-const WIDTH = 960;
-const HEIGHT = 540;
-const TICK_RATE = 60;
+const TICK_RATE = DEFAULT_RULES.tickRate;
 const DT = 1 / TICK_RATE;
 const STATE_RATE = 30;
 
-const MOVE_SPEED = 220;
-const MAX_ANGULAR_SPEED = 4.5;
-const CHOPSTICK_LENGTH = 181;
-const CONE_RADIUS = 146;
-const CONE_HALF_ANGLE = Math.PI / 3;
-const PICKUP_CLOSE_RADIUS = 26;
-const MOUTH_RADIUS = 30;
-const MOUTH_OFFSET_X = 0;
-const MOUTH_OFFSET_Y_LEFT = 84;
-const MOUTH_OFFSET_Y_RIGHT = 67;
-const EAT_TIME = 0.09;
-const MAX_FOOD = 8;
-const SPAWN_INTERVAL = 2.0;
-const GRAVITY = 170;
-const MAX_FULLNESS = 100;
-
-const FOOD_TYPES = [
-  { name: "food_01", value: 6 },
-  { name: "food_02", value: 6 },
-  { name: "food_03", value: 7 },
-  { name: "food_04", value: 8 },
-  { name: "food_05", value: 9 },
-  { name: "food_06", value: 10 },
-  { name: "food_07", value: 10 },
-  { name: "food_08", value: 11 },
-  { name: "food_09", value: 12 },
-  { name: "food_10", value: 13 }
-];
-
 const app = express();
 app.use(express.static(PUBLIC_DIR));
+app.use("/shared", express.static(SHARED_DIR));
+app.get("/maps", (req, res) => {
+  res.json(Array.from(maps.values(), summarizeMap));
+});
+app.get("/replays", (req, res) => {
+  res.json(listReplays().slice(0, REPLAY_LIST_LIMIT));
+});
+app.use("/replays", express.static(REPLAYS_DIR));
 
 const server = http.createServer(app);
-const wss = new WebSocketServer({ server });
+const wss = new WebSocketServer({ server, maxPayload: MAX_MESSAGE_BYTES });
 wss.on("error", (error) => {
   if (error.code === "EADDRINUSE") {
     return;
@@ -59,246 +100,335 @@ wss.on("error", (error) => {
 });
 
 const HEARTBEAT_INTERVAL = 15000;
+const RECONNECT_GRACE_SECONDS = readEnvNumber("RECONNECT_GRACE_SECONDS", 30, {
+  allowZero: true
+});
+const MAX_ROOMS = readEnvNumber("MAX_ROOMS", 100, { integer: true });
+// Rooms with no player activity for this long are closed.
+const ROOM_IDLE_MINUTES = readEnvNumber("ROOM_IDLE_MINUTES", 10);
+const IDLE_CHECK_INTERVAL = 30000;
+const REJECT_LOG_INTERVAL = 5000;
+
+const PHASE_DURATIONS = {
+  waiting: null,
+  countdown: 3,
+  playing: null,
+  "round-over": 1.5,
+  results: 20
+};
+
+const SERIES_LENGTHS = [1, 3, 5];
 
 const rooms = new Map();
+const maps = loadMaps();
+fs.mkdirSync(REPLAYS_DIR, { recursive: true });
+
+function loadMaps() {
+  const loaded = new Map();
+  for (const file of fs.readdirSync(MAPS_DIR)) {
+    if (!file.endsWith(".json")) continue;
+    try {
+      const data = JSON.parse(fs.readFileSync(path.join(MAPS_DIR, file)));
+      const map = createMap({ id: path.basename(file, ".json"), ...data });
+      loaded.set(map.id, map);
+    } catch (error) {
+      console.warn(`Skipping map ${file}: ${error.message}`);
+    }
+  }
+  if (!loaded.has(DEFAULT_MAP_ID)) {
+    loaded.set(DEFAULT_MAP_ID, createMap({ id: DEFAULT_MAP_ID }));
+  }
+  return loaded;
+}
+
+function parseRoomOptions(searchParams) {
+  const bestOf = Number(searchParams.get("bestOf"));
+  const overrides = {};
+  for (const key of CONFIGURABLE_RULES) {
+    overrides[key] = searchParams.get(key);
+  }
+  const { preset, rules } = resolveRoomRules(
+    searchParams.get("preset"),
+    overrides
+  );
+  const mapId = searchParams.get("map");
+  const botLevel = searchParams.get("bot");
+  const password = searchParams.get("password");
+  return {
+    bestOf: SERIES_LENGTHS.includes(bestOf) ? bestOf : 1,
+    swapSides: searchParams.get("swap") === "1",
+    preset,
+    rules,
+    map: maps.get(mapId) || maps.get(DEFAULT_MAP_ID),
+    botLevel: BOT_LEVELS[botLevel] ? botLevel : null,
+    passwordHash: password ? hashPassword(password) : null
+  };
+}
+
+function hashPassword(password) {
+  return createHash("sha256")
+    .update(password.slice(0, MAX_ROOM_PASSWORD_LENGTH))
+    .digest();
+}
+
+// Public rooms accept anyone; private ones need the password they were
+// created with. The password arrives in the WebSocket URL's query string,
+// which this server never logs but a reverse proxy may (see README).
+function checkPassword(room, password) {
+  if (!room.passwordHash) return true;
+  if (!password) return false;
+  return timingSafeEqual(room.passwordHash, hashPassword(password));
+}
 
-function createRoom(roomId) {
+function createRoom(roomId, options) {
   return {
     id: roomId,
+    preset: options.preset,
+    rules: options.rules,
+    map: options.map,
+    botLevel: options.botLevel,
+    passwordHash: options.passwordHash,
+    lastActivity: Date.now(),
+    changed: true,
+    closed: false,
+    series: {
+      bestOf: options.bestOf,
+      swapSides: options.swapSides,
+      round: 1,
+      winnerId: null
+    },
     players: new Map(),
+    spectators: new Map(),
     foods: [],
     nextFoodId: 1,
     lastSpawnTime: 0,
+    clashCooldownUntil: 0,
     time: 0,
-    gameOver: false,
+    tick: 0,
+    phase: "waiting",
+    phaseTicksLeft: null,
     winnerId: null,
     loserId: null,
-    started: false,
-    texturesEnabled: true
+    results: null,
+    suddenDeath: false,
+    seed: null,
+    random: null,
+    stepCount: 0,
+    replay: null,
+    recorder: null,
+    events: []
   };
 }
 
-function getRoom(roomId) {
+// Returns null when the room does not exist yet and MAX_ROOMS are open.
+function getRoom(roomId, searchParams) {
   if (!rooms.has(roomId)) {
-    rooms.set(roomId, createRoom(roomId));
+    if (rooms.size >= MAX_ROOMS) return null;
+    rooms.set(roomId, createRoom(roomId, parseRoomOptions(searchParams)));
   }
   return rooms.get(roomId);
 }
 
-function normalize(x, y) {
-  const len = Math.hypot(x, y);
-  if (len === 0) return { x: 0, y: 0 };
-  return { x: x / len, y: y / len };
-}
-
-function wrapAngle(angle) {
-  let a = angle;
-  while (a <= -Math.PI) a += Math.PI * 2;
-  while (a > Math.PI) a -= Math.PI * 2;
-  return a;
+// Closes every connection in the room and forgets it, held seats included.
+function closeRoom(room, code, reason) {
+  room.closed = true;
+  rooms.delete(room.id);
+  for (const player of room.players.values()) {
+    clearTimeout(player.graceTimer);
+  }
+  for (const member of roomMembers(room)) {
+    if (member.ws.readyState === member.ws.OPEN) member.ws.close(code, reason);
+  }
 }
 
-function rotateTowards(current, target, maxDelta) {
-  const delta = wrapAngle(target - current);
-  const clamped = Math.max(-maxDelta, Math.min(maxDelta, delta));
-  return wrapAngle(current + clamped);
+function expireIdleRooms() {
+  const cutoff = Date.now() - ROOM_IDLE_MINUTES * 60000;
+  for (const room of rooms.values()) {
+    if (room.lastActivity >= cutoff) continue;
+    console.log(`Closing idle room ${room.id}`);
+    closeRoom(room, CLOSE_CODES.roomIdle, "room idle");
+  }
 }
 
-function clamp(value, min, max) {
-  return Math.max(min, Math.min(max, value));
+// Whether an input message shows someone at the controls; an open tab keeps
+// sending neutral inputs every tick.
+function isActiveInput(msg, previous) {
+  return (
+    msg.move.x !== 0 ||
+    msg.move.y !== 0 ||
+    Boolean(msg.release) ||
+    Boolean(msg.clench) ||
+    msg.aim !== previous?.aim
+  );
 }
 
-function spawnFood(room) {
-  if (room.foods.length >= MAX_FOOD) return;
-  const type = FOOD_TYPES[Math.floor(Math.random() * FOOD_TYPES.length)];
-  const food = {
-    id: room.nextFoodId++,
-    x: 80 + Math.random() * (WIDTH - 160),
-    y: -20,
-    vx: (Math.random() - 0.5) * 16,
-    vy: 0,
-    value: type.value,
-    state: "free",
-    heldBy: null,
-    mouthTimers: {}
-  };
-  room.foods.push(food);
+function isPaused(room) {
+  return Array.from(room.players.values()).some((player) => !player.connected);
 }
 
-function tipPosition(player) {
-  return {
-    x: player.x + Math.cos(player.angle) * CHOPSTICK_LENGTH,
-    y: player.y + Math.sin(player.angle) * CHOPSTICK_LENGTH
-  };
+// Nothing advances in a waiting or paused room, so it is neither ticked nor
+// broadcast until something about it changes.
+function isDormant(room) {
+  return room.phase === "waiting" || isPaused(room);
 }
 
-function mouthPosition(player) {
-  const offsetY =
-    player.side === "right" ? MOUTH_OFFSET_Y_RIGHT : MOUTH_OFFSET_Y_LEFT;
-  return {
-    x: player.x + MOUTH_OFFSET_X,
-    y: player.y - offsetY
-  };
+function phaseDuration(room, phase) {
+  if (phase === "playing") {
+    return room.rules.timeLimit > 0 ? room.rules.timeLimit : null;
+  }
+  return PHASE_DURATIONS[phase];
 }
 
-function isInCone(player, food) {
-  const tip = tipPosition(player);
-  const dx = food.x - tip.x;
-  const dy = food.y - tip.y;
-  const dist = Math.hypot(dx, dy);
-  if (dist > CONE_RADIUS) return false;
-  if (dist <= PICKUP_CLOSE_RADIUS) return true;
-  const angleToFood = Math.atan2(dy, dx);
-  const delta = Math.abs(wrapAngle(angleToFood - player.angle));
-  return delta <= CONE_HALF_ANGLE;
+function enterPhase(room, phase) {
+  const duration = phaseDuration(room, phase);
+  room.phase = phase;
+  room.changed = true;
+  room.phaseTicksLeft =
+    duration === null ? null : Math.round(duration * TICK_RATE);
 }
 
-function tryPickup(room, player) {
-  if (player.holdingFoodId) return;
-  const candidate = room.foods.find(
-    (food) => food.state === "free" && isInCone(player, food)
-  );
-  if (!candidate) return;
-  candidate.state = "held";
-  candidate.heldBy = player.id;
-  candidate.mouthTimers = {};
-  player.holdingFoodId = candidate.id;
-}
-
-function releaseFood(room, player) {
-  if (!player.holdingFoodId) return;
-  const food = room.foods.find((f) => f.id === player.holdingFoodId);
-  if (!food) {
-    player.holdingFoodId = null;
-    return;
-  }
-  food.state = "free";
-  food.heldBy = null;
-  food.vx = Math.cos(player.angle) * 60;
-  food.vy = Math.sin(player.angle) * 60;
-  player.holdingFoodId = null;
-}
-
-function updateFoods(room, dt) {
-  for (const food of room.foods) {
-    if (food.state === "held") continue;
-    food.vy += GRAVITY * dt;
-    food.x += food.vx * dt;
-    food.y += food.vy * dt;
-    if (food.y > HEIGHT + 60) {
-      food.x = 80 + Math.random() * (WIDTH - 160);
-      food.y = -20;
-      food.vx = (Math.random() - 0.5) * 16;
-      food.vy = 0;
+function advancePhase(room) {
+  if (room.phase === "countdown") {
+    enterPhase(room, "playing");
+  } else if (room.phase === "playing") {
+    if (resolveTimeLimit(room)) {
+      endRound(room, "time");
+    } else {
+      room.recorder?.markSuddenDeath(room.stepCount);
+      room.phaseTicksLeft = null;
+    }
+  } else if (room.phase === "round-over") {
+    if (!room.series.winnerId) {
+      startNextRound(room);
+      return;
     }
+    enterPhase(room, "results");
+    if (allReady(room)) startSeries(room);
+  } else if (room.phase === "results") {
+    room.winnerId = null;
+    room.loserId = null;
+    room.results = null;
+    enterPhase(room, "waiting");
   }
 }
 
-function updateHeldFoods(room) {
-  for (const player of room.players.values()) {
-    if (!player.holdingFoodId) continue;
-    const food = room.foods.find((f) => f.id === player.holdingFoodId);
-    if (!food) {
-      player.holdingFoodId = null;
-      continue;
+function winsNeeded(series) {
+  return Math.ceil(series.bestOf / 2);
+}
+
+function endRound(room, reason = "full") {
+  const sideOf = (id) => room.players.get(id)?.side || null;
+  const winner = room.players.get(room.winnerId);
+  if (winner) {
+    winner.roundWins += 1;
+    if (winner.roundWins >= winsNeeded(room.series)) {
+      room.series.winnerId = winner.id;
     }
-    const tip = tipPosition(player);
-    food.x += (tip.x - food.x) * 0.35;
-    food.y += (tip.y - food.y) * 0.35;
-    food.vx = 0;
-    food.vy = 0;
   }
+  const fullness = {};
+  const wins = {};
+  for (const player of room.players.values()) {
+    fullness[player.side] = player.fullness;
+    wins[player.side] = player.roundWins;
+    if (room.series.winnerId) player.ready = Boolean(player.bot);
+  }
+  room.results = {
+    winnerSide: sideOf(room.winnerId),
+    loserSide: sideOf(room.loserId),
+    duration: room.time,
+    fullness,
+    round: room.series.round,
+    reason,
+    suddenDeath: room.suddenDeath,
+    wins,
+    seriesWinnerSide: sideOf(room.series.winnerId),
+    replayId: null
+  };
+  room.recorder?.finish(room.stepCount, room.results);
+  room.recorder = null;
+  if (room.series.winnerId && room.replay) {
+    room.results.replayId = saveReplay(room.replay);
+    room.replay = null;
+  }
+  enterPhase(room, "round-over");
 }
 
-function handleEating(room, dt) {
-  for (const food of room.foods) {
-    if (food.state !== "held" || !food.heldBy) continue;
+function startNextRound(room) {
+  room.series.round += 1;
+  if (room.series.swapSides) {
     for (const player of room.players.values()) {
-      if (food.heldBy === player.id) continue;
-      const opponentId = player.id;
-      const mouth = mouthPosition(player);
-      const dist = Math.hypot(food.x - mouth.x, food.y - mouth.y);
-      const inMouth = dist <= MOUTH_RADIUS;
-      if (inMouth) {
-        food.mouthTimers[opponentId] =
-          (food.mouthTimers[opponentId] || 0) + dt;
-      } else {
-        food.mouthTimers[opponentId] = 0;
-      }
-      if (food.mouthTimers[opponentId] >= EAT_TIME) {
-        const eater = player;
-        eater.fullness += food.value;
-        eater.mouthOpenUntil = room.time + 0.35;
-        if (food.heldBy) {
-          const holder = room.players.get(food.heldBy);
-          if (holder) holder.holdingFoodId = null;
-        }
-        room.foods = room.foods.filter((f) => f.id !== food.id);
-        if (eater.fullness >= MAX_FULLNESS) {
-          room.gameOver = true;
-          room.loserId = eater.id;
-          const opponent = Array.from(room.players.values()).find(
-            (p) => p.id !== eater.id
-          );
-          room.winnerId = opponent ? opponent.id : null;
-          room.started = false;
-          for (const p of room.players.values()) {
-            p.ready = false;
-          }
-        }
-        return;
-      }
+      player.side = player.side === "left" ? "right" : "left";
     }
   }
+  startCountdown(room);
 }
 
-function updatePlayers(room, dt) {
+function startSeries(room) {
+  room.series.round = 1;
+  room.series.winnerId = null;
   for (const player of room.players.values()) {
-    const input = player.input;
-    const move = normalize(input.moveX, input.moveY);
-    player.x += move.x * MOVE_SPEED * dt;
-    player.y += move.y * MOVE_SPEED * dt;
-    player.x = clamp(player.x, 60, WIDTH - 60);
-    player.y = clamp(player.y, 80, HEIGHT - 60);
-    player.targetAngle = input.aim;
-    player.angle = rotateTowards(
-      player.angle,
-      player.targetAngle,
-      MAX_ANGULAR_SPEED * dt
-    );
-    if (input.release) releaseFood(room, player);
-    player.input.release = false;
+    player.roundWins = 0;
   }
+  startCountdown(room);
 }
 
 function tick(room) {
-  if (!room.started || room.gameOver) return;
-  updatePlayers(room, DT);
+  room.tick += 1;
+  if (room.phaseTicksLeft !== null) {
+    room.phaseTicksLeft -= 1;
+    if (room.phaseTicksLeft <= 0) advancePhase(room);
+  }
+  if (room.phase !== "playing") return;
   for (const player of room.players.values()) {
-    tryPickup(room, player);
+    if (player.bot) acceptInput(room, player, player.bot.think(room, player));
   }
-  updateHeldFoods(room);
-  updateFoods(room, DT);
-  handleEating(room, DT);
-  room.time += DT;
-  room.lastSpawnTime += DT;
-  if (room.lastSpawnTime >= SPAWN_INTERVAL) {
-    room.lastSpawnTime = 0;
-    spawnFood(room);
+  step(room, DT, room.random);
+  room.recorder?.checkpoint(room);
+  if (room.loserId) endRound(room);
+}
+
+// Gameplay events since the last broadcast go out ahead of the snapshot that
+// reflects them.
+function flushEvents(room) {
+  if (room.events.length === 0) return;
+  const data = JSON.stringify({ type: "events", events: room.events });
+  room.events = [];
+  for (const member of roomMembers(room)) {
+    if (member.ws.readyState === member.ws.OPEN) member.ws.send(data);
   }
 }
 
 function broadcastState(room) {
+  flushEvents(room);
   const payload = {
     type: "state",
     roomId: room.id,
-    started: room.started,
-    gameOver: room.gameOver,
+    tick: room.tick,
+    serverTime: room.tick * DT,
+    phase: room.phase,
+    phaseDuration: phaseDuration(room, room.phase),
+    phaseEndsAt:
+      room.phaseTicksLeft === null
+        ? null
+        : (room.tick + room.phaseTicksLeft) * DT,
     winnerId: room.winnerId,
     loserId: room.loserId || null,
-    texturesEnabled: room.texturesEnabled,
+    results: room.results,
+    suddenDeath: room.suddenDeath,
+    effects: describeEffects(room),
+    preset: room.preset,
+    map: summarizeMap(room.map),
+    rules: summarizeRules(room.rules),
+    series: {
+      bestOf: room.series.bestOf,
+      swapSides: room.series.swapSides,
+      round: room.series.round
+    },
+    paused: isPaused(room),
+    spectators: room.spectators.size,
     players: Array.from(room.players.values()).map((player) => ({
       id: player.id,
+      netId: player.netId,
       side: player.side,
       x: player.x,
       y: player.y,
@@ -306,7 +436,20 @@ function broadcastState(room) {
       fullness: player.fullness,
       mouthOpen: room.time < (player.mouthOpenUntil || 0),
       ready: Boolean(player.ready),
-      holdingFoodId: player.holdingFoodId
+      holdingFoodId: player.holdingFoodId,
+      lastInputSeq: player.lastInputSeq,
+      connected: player.connected,
+      bot: player.bot ? player.bot.level : null,
+      roundWins: player.roundWins,
+      moveScale: player.moveScale,
+      turnScale: player.turnScale,
+      reachScale: player.reachScale,
+      coneScale: player.coneScale,
+      mouthScale: player.mouthScale,
+      stunTime: player.stunTime,
+      stamina: player.stamina,
+      clenching: player.clenching,
+      exhausted: player.exhausted
     })),
     foods: room.foods.map((food) => ({
       id: food.id,
@@ -314,29 +457,126 @@ function broadcastState(room) {
       y: food.y,
       state: food.state,
       heldBy: food.heldBy,
-      value: food.value
+      value: food.value,
+      type: food.type,
+      // room.time restarts every round and stops during pauses; the client
+      // compares against serverTime, like effect end times.
+      expiresAt:
+        food.expiresAt === null
+          ? null
+          : room.tick * DT + food.expiresAt - room.time
     }))
   };
-  const data = JSON.stringify(payload);
+  let data = null;
+  let snapshot = null;
+  let debug = null;
+  for (const member of roomMembers(room)) {
+    if (member.ws.readyState !== member.ws.OPEN) continue;
+    if (member.net.format === "binary") {
+      snapshot = snapshot || quantizeState(payload);
+      member.ws.send(encodeStateFor(member, snapshot));
+    } else {
+      data = data || JSON.stringify(payload);
+      member.ws.send(data);
+    }
+    if (member.net.debug) {
+      debug = debug || JSON.stringify(buildDebugPayload(room));
+      member.ws.send(debug);
+    }
+  }
+}
+
+// Unquantized hit zones and timers for the client debug overlay. Only sent
+// to connections that asked for it (?debug=1 or a "debug" message).
+function buildDebugPayload(room) {
+  const rules = room.rules;
+  return {
+    type: "debug",
+    tick: room.tick,
+    eatTime: rules.eatTime,
+    coneHalfAngle: rules.coneHalfAngle,
+    pickupCloseRadius: rules.pickupCloseRadius,
+    players: Array.from(room.players.values(), (player) => ({
+      id: player.id,
+      x: player.x,
+      y: player.y,
+      angle: player.angle,
+      tip: tipPosition(player, rules),
+      coneRadius: rules.coneRadius * player.coneScale,
+      mouth: mouthPosition(player, rules),
+      mouthRadius: rules.mouthRadius * player.mouthScale,
+      queuedInputs: player.inputQueue.length
+    })),
+    foods: room.foods.map((food) => ({
+      id: food.id,
+      x: food.x,
+      y: food.y,
+      radius: foodRadius(food, rules),
+      state: food.state,
+      gripped: Boolean(food.gripped),
+      mouthTimers: food.mouthTimers
+    }))
+  };
+}
+
+// Timed effects per player with their end on the serverTime clock, for the
+// client's power-up badges. room.time stops during pauses, so the end is
+// re-derived every broadcast rather than stored.
+function describeEffects(room) {
+  const now = room.tick * DT;
+  const effects = [];
   for (const player of room.players.values()) {
-    if (player.ws.readyState === player.ws.OPEN) {
-      player.ws.send(data);
+    for (const effect of player.effects || []) {
+      effects.push({
+        playerId: player.id,
+        type: effect.type,
+        endsAt: Math.round((now + effect.until - room.time) * 10) / 10
+      });
     }
   }
+  return effects;
+}
+
+// Everyone with a connection to send to (bots have none).
+function roomMembers(room) {
+  return [...room.players.values(), ...room.spectators.values()].filter(
+    (member) => !member.bot
+  );
+}
+
+function encodeStateFor(member, snapshot) {
+  const net = member.net;
+  let base = net.history.get(net.ackedTick) || null;
+  if (base && snapshot.tick - net.lastKeyframeTick >= KEYFRAME_INTERVAL) {
+    base = null;
+  }
+  if (!base) net.lastKeyframeTick = snapshot.tick;
+  net.history.set(snapshot.tick, snapshot);
+  while (net.history.size > SNAPSHOT_HISTORY) {
+    net.history.delete(net.history.keys().next().value);
+  }
+  return encodeSnapshot(snapshot, base);
 }
 
 function resetGameIfNeeded(room) {
   if (room.players.size < 2) {
-    room.gameOver = false;
+    enterPhase(room, "waiting");
     room.winnerId = null;
     room.loserId = null;
+    room.results = null;
+    room.series.round = 1;
+    room.series.winnerId = null;
+    room.suddenDeath = false;
     room.time = 0;
-    room.started = false;
+    room.stepCount = 0;
+    room.replay = null;
+    room.recorder = null;
     room.foods = [];
     room.nextFoodId = 1;
     for (const player of room.players.values()) {
-      player.ready = false;
+      player.ready = Boolean(player.bot);
       player.holdingFoodId = null;
+      player.roundWins = 0;
     }
   }
 }
@@ -348,135 +588,427 @@ function assignSide(room) {
   return null;
 }
 
+function assignNetId(room) {
+  const used = new Set(Array.from(room.players.values()).map((p) => p.netId));
+  let netId = 1;
+  while (used.has(netId)) netId += 1;
+  return netId;
+}
+
 function allReady(room) {
   if (room.players.size < 2) return false;
-  return Array.from(room.players.values()).every((player) => player.ready);
+  return Array.from(room.players.values()).every(
+    (player) => player.ready && player.connected
+  );
 }
 
-function startRoom(room) {
-  room.started = true;
-  room.gameOver = false;
+function startCountdown(room) {
+  enterPhase(room, "countdown");
   room.winnerId = null;
   room.loserId = null;
+  room.results = null;
+  room.suddenDeath = false;
   room.time = 0;
+  room.stepCount = 0;
   room.foods = [];
   room.nextFoodId = 1;
   room.lastSpawnTime = 0;
+  room.clashCooldownUntil = 0;
   for (const player of room.players.values()) {
-    player.fullness = 0;
-    player.holdingFoodId = null;
-    player.mouthOpenUntil = 0;
-    player.input.moveX = 0;
-    player.input.moveY = 0;
-    player.input.release = false;
-    if (player.side === "left") {
-      player.x = 180;
-      player.y = HEIGHT / 2;
-      player.angle = 0;
-      player.targetAngle = 0;
-      player.input.aim = 0;
-    } else {
-      player.x = WIDTH - 180;
-      player.y = HEIGHT / 2;
-      player.angle = Math.PI;
-      player.targetAngle = Math.PI;
-      player.input.aim = Math.PI;
-    }
+    resetPlayer(player, room.rules);
+  }
+  room.seed = randomSeed();
+  room.random = createRandom(room.seed);
+  // Saved replays are listed and served publicly, which would expose private
+  // rooms, so those are not recorded.
+  if (room.series.round === 1 && !room.passwordHash) {
+    room.replay = createReplay(room, DT);
   }
+  room.recorder = room.replay ? recordRound(room.replay, room) : null;
 }
 
-wss.on("connection", (ws, req) => {
-  ws.isAlive = true;
-  ws.on("pong", () => {
-    ws.isAlive = true;
-  });
-  const requestUrl = new URL(req.url, `http://${req.headers.host}`);
-  const roomId = requestUrl.searchParams.get("room") || "lobby";
-  const room = getRoom(roomId);
+// Writes the finished match to REPLAYS_DIR and returns its id (the file name
+// without .json), pruning the oldest files beyond MAX_REPLAYS.
+function saveReplay(replay) {
+  const id = `${replay.roomId.replace(/[^\w-]/g, "_")}-${Date.now().toString(36)}`;
+  fs.writeFile(
+    path.join(REPLAYS_DIR, `${id}.json`),
+    JSON.stringify(replay),
+    (error) => {
+      if (error) {
+        console.error(`Failed to save replay ${id}: ${error.message}`);
+        return;
+      }
+      for (const stale of listReplays().slice(MAX_REPLAYS)) {
+        fs.unlink(path.join(REPLAYS_DIR, `${stale.id}.json`), () => {});
+      }
+    }
+  );
+  return id;
+}
 
-  if (room.players.size >= 2) {
-    ws.send(JSON.stringify({ type: "full" }));
-    ws.close();
-    return;
-  }
-  const side = assignSide(room);
-  if (!side) {
-    ws.close();
-    return;
+// Browser and bot input messages both go through here.
+function acceptInput(room, player, msg) {
+  if (room.phase !== "playing" || isPaused(room)) return;
+  queueInput(player, readInputMessage(msg, player));
+}
+
+function listReplays() {
+  let files = [];
+  try {
+    files = fs.readdirSync(REPLAYS_DIR).filter((file) => file.endsWith(".json"));
+  } catch {
+    return [];
   }
-  const player = {
-    id: `p_${Math.random().toString(36).slice(2, 9)}`,
-    ws,
+  return files
+    .flatMap((file) => {
+      // Another save may prune the file between readdir and stat.
+      try {
+        const { mtimeMs } = fs.statSync(path.join(REPLAYS_DIR, file));
+        return [{ id: path.basename(file, ".json"), savedAt: mtimeMs }];
+      } catch {
+        return [];
+      }
+    })
+    .sort((a, b) => b.savedAt - a.savedAt);
+}
+
+function seatMember(room, member, side) {
+  const pose = spawnPose(side, room.rules);
+  Object.assign(member, {
+    role: "player",
+    netId: assignNetId(room),
+    sessionToken: randomUUID(),
+    connected: true,
+    graceTimer: null,
     side,
-    x: side === "left" ? 180 : WIDTH - 180,
-    y: HEIGHT / 2,
-    angle: side === "left" ? 0 : Math.PI,
-    targetAngle: side === "left" ? 0 : Math.PI,
+    x: pose.x,
+    y: pose.y,
+    angle: pose.angle,
+    targetAngle: pose.angle,
     fullness: 0,
     mouthOpenUntil: 0,
+    effects: [],
+    moveScale: 1,
+    turnScale: 1,
+    reachScale: 1,
+    coneScale: 1,
+    mouthScale: 1,
+    tipVx: 0,
+    tipVy: 0,
+    stunTime: 0,
+    pinchReadyAt: 0,
+    stamina: room.rules.maxStamina,
+    clenching: false,
+    exhausted: false,
     holdingFoodId: null,
     ready: false,
+    roundWins: 0,
     input: {
       moveX: 0,
       moveY: 0,
-      aim: side === "left" ? 0 : Math.PI,
-      release: false
-    }
-  };
-  room.players.set(player.id, player);
+      aim: pose.angle,
+      release: false,
+      clench: false
+    },
+    inputQueue: [],
+    lastQueuedSeq: 0,
+    lastInputSeq: 0
+  });
+  room.players.set(member.id, member);
   resetGameIfNeeded(room);
-  ws.send(
+}
+
+// Seats a practice bot in the free side. It is always ready, so the match
+// starts as soon as the human readies up.
+function addBot(room, level) {
+  const side = assignSide(room);
+  if (!side) return;
+  const bot = { id: `bot_${Math.random().toString(36).slice(2, 9)}` };
+  seatMember(room, bot, side);
+  bot.bot = createBot(level);
+  bot.ready = true;
+}
+
+function findBot(room) {
+  return Array.from(room.players.values()).find((player) => player.bot) || null;
+}
+
+// Changes or removes (level null) the room's bot, adding one if a seat is free.
+function setBot(room, level) {
+  const existing = findBot(room);
+  if (existing && level) {
+    existing.bot = createBot(level);
+    // The new bot numbers its inputs from 1 again.
+    existing.inputQueue = [];
+    existing.lastQueuedSeq = 0;
+    existing.lastInputSeq = 0;
+    return;
+  }
+  if (existing) {
+    removePlayer(room, existing);
+    return;
+  }
+  if (level) addBot(room, level);
+}
+
+function sendWelcome(room, member, resumed = false) {
+  member.ws.send(
     JSON.stringify({
       type: "welcome",
-      id: player.id,
-      side: player.side,
+      id: member.id,
+      role: member.role,
+      side: member.side || null,
+      sessionToken: member.sessionToken || null,
+      reconnectGrace: RECONNECT_GRACE_SECONDS,
+      resumed: Boolean(resumed),
       roomId: room.id,
-      config: {
-        width: WIDTH,
-        height: HEIGHT,
-        maxFullness: MAX_FULLNESS
-      }
+      private: Boolean(room.passwordHash),
+      stateFormat: member.net.format,
+      preset: room.preset,
+      config: { ...room.rules },
+      map: room.map
     })
   );
+}
 
-  ws.on("message", (data) => {
-    let msg;
-    try {
-      msg = JSON.parse(data);
-    } catch (error) {
+function createNetState(format, debug = false) {
+  return {
+    format,
+    debug,
+    history: new Map(),
+    ackedTick: 0,
+    lastKeyframeTick: 0
+  };
+}
+
+function findResumableSeat(room, token) {
+  if (!token) return null;
+  return (
+    Array.from(room.players.values()).find(
+      (player) => player.sessionToken === token
+    ) || null
+  );
+}
+
+function resumeSeat(member, ws, format, debug) {
+  const previousWs = member.ws;
+  clearTimeout(member.graceTimer);
+  member.graceTimer = null;
+  member.ws = ws;
+  member.net = createNetState(format, debug);
+  member.connected = true;
+  member.inputQueue = [];
+  member.lastQueuedSeq = 0;
+  member.lastInputSeq = 0;
+  if (previousWs !== ws && previousWs.readyState === previousWs.OPEN) {
+    // A duplicated tab shares the session token; the code stops the old tab
+    // from reconnecting and taking the seat back.
+    previousWs.close(CLOSE_CODES.seatTaken, "seat taken by another connection");
+  }
+}
+
+function holdSeat(room, member) {
+  member.connected = false;
+  member.inputQueue = [];
+  // Whoever comes back readies up again; until then the opponent readying
+  // must not start a countdown in a paused room.
+  member.ready = false;
+  member.graceTimer = setTimeout(() => {
+    removePlayer(room, member);
+  }, RECONNECT_GRACE_SECONDS * 1000);
+}
+
+function removePlayer(room, member) {
+  clearTimeout(member.graceTimer);
+  room.players.delete(member.id);
+  if (member.holdingFoodId) {
+    const food = room.foods.find((f) => f.id === member.holdingFoodId);
+    if (food) {
+      food.state = "free";
+      food.heldBy = null;
+    }
+  }
+  resetGameIfNeeded(room);
+  room.changed = true;
+  deleteRoomIfEmpty(room);
+}
+
+// Close reasons are fixed ASCII: ws.close() throws past 123 bytes.
+const CLOSE_REASONS = {
+  [CLOSE_CODES.rateLimited]: "rate limited",
+  [CLOSE_CODES.invalidMessages]: "invalid messages"
+};
+
+// Logs a rejected message. Once the limiter has run out (`withinLimit`
+// false) the connection is closed with `code` so the client knows not to
+// reconnect.
+function rejectMessage(ws, room, member, reason, withinLimit, code) {
+  logRejection(room, member, reason);
+  if (!withinLimit && ws.readyState === ws.OPEN) {
+    console.warn(`Disconnecting ${member.id} in ${room.id} (code ${code})`);
+    ws.close(code, CLOSE_REASONS[code]);
+  }
+}
+
+// One line per member every REJECT_LOG_INTERVAL at most, so a client can't
+// flood the log from just under its limits; skipped lines are counted.
+function logRejection(room, member, reason) {
+  const now = Date.now();
+  if (now < (member.rejectLogAt ?? 0)) {
+    member.rejectsSkipped = (member.rejectsSkipped ?? 0) + 1;
+    return;
+  }
+  const skipped = member.rejectsSkipped
+    ? ` (+${member.rejectsSkipped} not logged)`
+    : "";
+  console.warn(`Rejected message from ${member.id} in ${room.id}: ${reason}${skipped}`);
+  member.rejectLogAt = now + REJECT_LOG_INTERVAL;
+  member.rejectsSkipped = 0;
+}
+
+function deleteRoomIfEmpty(room) {
+  if (roomMembers(room).length === 0) {
+    rooms.delete(room.id);
+  }
+}
+
+wss.on("connection", (ws, req) => {
+  ws.isAlive = true;
+  ws.on("pong", () => {
+    ws.isAlive = true;
+  });
+  const requestUrl = new URL(req.url, `http://${req.headers.host}`);
+  const roomId = requestUrl.searchParams.get("room") || "lobby";
+  if (!ROOM_ID_PATTERN.test(roomId)) {
+    ws.close(CLOSE_CODES.invalidRoom, "invalid room id");
+    return;
+  }
+  const requestedFormat = requestUrl.searchParams.get("format");
+  const stateFormat = STATE_FORMATS.includes(requestedFormat)
+    ? requestedFormat
+    : "json";
+  const room = getRoom(roomId, requestUrl.searchParams);
+  if (!room) {
+    console.warn(`Refusing room ${roomId}: ${MAX_ROOMS} rooms open`);
+    ws.close(CLOSE_CODES.serverFull, "room limit reached");
+    return;
+  }
+  if (!checkPassword(room, requestUrl.searchParams.get("password"))) {
+    ws.close(CLOSE_CODES.passwordRequired, "password required");
+    return;
+  }
+  const debug = requestUrl.searchParams.get("debug") === "1";
+
+  const resumable = findResumableSeat(
+    room,
+    requestUrl.searchParams.get("session")
+  );
+  const member = resumable || {
+    id: `p_${Math.random().toString(36).slice(2, 9)}`,
+    role: "spectator",
+    ws,
+    net: createNetState(stateFormat, debug)
+  };
+  if (resumable) {
+    resumeSeat(member, ws, stateFormat, debug);
+  } else {
+    const side = assignSide(room);
+    if (side) {
+      seatMember(room, member, side);
+    } else {
+      room.spectators.set(member.id, member);
+    }
+  }
+  // Taking or resuming a seat counts as activity, so a newcomer is not
+  // expired along with the quiet room they joined.
+  if (member.role === "player") room.lastActivity = Date.now();
+  sendWelcome(room, member, Boolean(resumable));
+  if (member.role === "player" && room.botLevel && !findBot(room)) {
+    addBot(room, room.botLevel);
+  }
+  room.changed = true;
+
+  const limiter = createRateLimiter();
+  ws.on("message", (data, isBinary) => {
+    if (member.ws !== ws) return;
+    const { msg, error } = parseMessage(data, isBinary);
+    if (error) {
+      rejectMessage(
+        ws,
+        room,
+        member,
+        error,
+        limiter.strike(),
+        CLOSE_CODES.invalidMessages
+      );
+      return;
+    }
+    if (!limiter.allow(msg.type)) {
+      rejectMessage(
+        ws,
+        room,
+        member,
+        `rate limit (${msg.type})`,
+        limiter.overflow(),
+        CLOSE_CODES.rateLimited
+      );
+      return;
+    }
+    if (msg.type === "ack") {
+      member.net.ackedTick = msg.tick;
       return;
     }
+    if (msg.type !== "input") {
+      room.changed = true;
+      room.lastActivity = Date.now();
+    } else if (isActiveInput(msg, member.lastInputMsg)) {
+      room.lastActivity = Date.now();
+    }
+    if (msg.type === "input") member.lastInputMsg = msg;
+    if (msg.type === "sit") {
+      if (member.role !== "spectator") return;
+      const freeSide = assignSide(room);
+      if (!freeSide) return;
+      room.spectators.delete(member.id);
+      seatMember(room, member, freeSide);
+      sendWelcome(room, member);
+    }
+    if (member.role !== "player") return;
+    const player = member;
     if (msg.type === "input") {
-      if (!room.started) return;
-      player.input.moveX = Number(msg.move?.x) || 0;
-      player.input.moveY = Number(msg.move?.y) || 0;
-      player.input.aim = Number(msg.aim) || player.input.aim;
-      player.input.release = Boolean(msg.release);
+      acceptInput(room, player, msg);
+    }
+    if (msg.type === "bot") {
+      setBot(room, msg.level);
     }
     if (msg.type === "ready") {
-      player.ready = Boolean(msg.ready);
-      if (allReady(room)) {
-        startRoom(room);
+      player.ready = msg.ready;
+      const canStart = room.phase === "waiting" || room.phase === "results";
+      if (canStart && allReady(room)) {
+        startSeries(room);
+      } else if (room.phase === "countdown" && !player.ready) {
+        enterPhase(room, "waiting");
       }
     }
-    if (msg.type === "texture") {
-      room.texturesEnabled = Boolean(msg.enabled);
+    if (msg.type === "debug") {
+      member.net.debug = msg.enabled;
     }
   });
 
+  ws.on("error", (error) => {
+    console.warn(`Connection error for ${member.id} in ${room.id}: ${error.message}`);
+  });
+
   ws.on("close", () => {
-    room.players.delete(player.id);
-    if (player.holdingFoodId) {
-      const food = room.foods.find((f) => f.id === player.holdingFoodId);
-      if (food) {
-        food.state = "free";
-        food.heldBy = null;
-      }
-    }
-    resetGameIfNeeded(room);
-    if (room.players.size === 0) {
-      rooms.delete(roomId);
+    if (member.ws !== ws || room.closed) return;
+    room.changed = true;
+    if (member.role === "player") {
+      holdSeat(room, member);
+      return;
     }
+    room.spectators.delete(member.id);
+    deleteRoomIfEmpty(room);
   });
 });
 
@@ -493,16 +1025,25 @@ setInterval(() => {
 
 setInterval(() => {
   for (const room of rooms.values()) {
-    tick(room);
+    if (!isDormant(room)) tick(room);
   }
 }, 1000 / TICK_RATE);
 
 setInterval(() => {
   for (const room of rooms.values()) {
+    if (isDormant(room)) {
+      if (!room.changed) continue;
+      // Clients skip snapshots that repeat a tick, so each change to a
+      // dormant room gets a tick of its own.
+      room.tick += 1;
+    }
+    room.changed = false;
     broadcastState(room);
   }
 }, 1000 / STATE_RATE);
 
+setInterval(expireIdleRooms, IDLE_CHECK_INTERVAL);
+
 function startServer(port) {
   server.listen(port, () => {
     console.log(`Server running on http://localhost:${port}`);
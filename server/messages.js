@@ -0,0 +1,123 @@
+import { BOT_LEVELS } from "./bot.js";
+
+// Validation and rate limiting for client → server messages. Every message is
+// a JSON object whose `type` picks a schema below; each schema field is a
+// check returning true for acceptable values. Unknown fields are ignored.
+
+// Largest message a client may send, in bytes. The ws server closes the
+// connection (code 1009) on anything bigger.
+export const MAX_MESSAGE_BYTES = 1024;
+
+const isBool = (value) => typeof value === "boolean";
+const isUint = (value) => Number.isInteger(value) && value >= 0 && value <= 0xffffffff;
+const isUnit = (value) => Number.isFinite(value) && Math.abs(value) <= 1 + 1e-6;
+const isAngle = (value) => Number.isFinite(value) && Math.abs(value) <= Math.PI * 2;
+const isMove = (value) =>
+  typeof value === "object" && value !== null && isUnit(value.x) && isUnit(value.y);
+const oneOf = (values) => (value) => values.includes(value);
+const optional = (check) => (value) => value === undefined || check(value);
+
+const SCHEMAS = {
+  ack: { tick: isUint },
+  sit: {},
+  input: {
+    seq: isUint,
+    move: isMove,
+    aim: isAngle,
+    release: optional(isBool),
+    clench: optional(isBool)
+  },
+  ready: { ready: isBool },
+  debug: { enabled: isBool },
+  bot: { level: oneOf([...Object.keys(BOT_LEVELS), null]) }
+};
+
+// Token buckets per message class: `rate` tokens per second up to `burst`.
+// Inputs arrive once per tick (plus catch-up after a stall), acks once per
+// snapshot; the ready toggle and everything else are button presses.
+const RATE_LIMITS = {
+  input: { rate: 90, burst: 120 },
+  ack: { rate: 45, burst: 60 },
+  ready: { rate: 5, burst: 10 },
+  other: { rate: 4, burst: 10 }
+};
+
+// Malformed messages drain the strike bucket; a connection that empties it
+// is disconnected.
+const STRIKE_LIMIT = { rate: 1, burst: 20 };
+// Messages over their class limit are dropped without a strike (a player
+// hammering a button is harmless), but a connection that keeps flooding far
+// past every limit empties this bucket and is disconnected.
+const FLOOD_LIMIT = { rate: 30, burst: 120 };
+
+// The client picks `type`, so only a short, ASCII-escaped form of it goes
+// into log lines.
+function describeType(type) {
+  if (typeof type !== "string") return `<${typeof type}>`;
+  const escaped = type
+    .slice(0, 24)
+    .replace(
+      /[^\x20-\x7e]|["\\]/g,
+      (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, "0")}`
+    );
+  return `"${escaped}${type.length > 24 ? "..." : ""}"`;
+}
+
+// Parses and validates raw message data. Returns { msg } or { error }.
+export function parseMessage(data, isBinary) {
+  if (isBinary) return { error: "binary message" };
+  let msg;
+  try {
+    msg = JSON.parse(data);
+  } catch (error) {
+    return { error: "malformed JSON" };
+  }
+  if (typeof msg !== "object" || msg === null || Array.isArray(msg)) {
+    return { error: "not an object" };
+  }
+  const schema = Object.hasOwn(SCHEMAS, msg.type) ? SCHEMAS[msg.type] : null;
+  if (!schema) return { error: `unknown type ${describeType(msg.type)}` };
+  for (const [field, check] of Object.entries(schema)) {
+    if (!check(msg[field])) {
+      return { error: `invalid ${msg.type}.${field}` };
+    }
+  }
+  return { msg };
+}
+
+function createBucket({ rate, burst }) {
+  let tokens = burst;
+  let last = Date.now();
+  return () => {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - last) / 1000) * rate);
+    last = now;
+    if (tokens < 1) return false;
+    tokens -= 1;
+    return true;
+  };
+}
+
+// Per-connection limiter: allow(type) says whether a message of that type may
+// be handled now; strike() records a malformed message and overflow() one
+// dropped by allow(). Both return false once the connection has used up its
+// allowance.
+export function createRateLimiter() {
+  const buckets = {};
+  for (const [type, limit] of Object.entries(RATE_LIMITS)) {
+    buckets[type] = createBucket(limit);
+  }
+  const strikes = createBucket(STRIKE_LIMIT);
+  const floods = createBucket(FLOOD_LIMIT);
+  return {
+    allow(type) {
+      return (buckets[type] || buckets.other)();
+    },
+    strike() {
+      return strikes();
+    },
+    overflow() {
+      return floods();
+    }
+  };
+}
@@ -0,0 +1,250 @@
+// Headless balance runner: plays bot-vs-bot matches directly on the shared
+// simulation (no sockets, no timers) and reports how they went.
+//
+//   node server/simulate.js --matches 2000 --preset quick --format csv
+//
+// Options (also accepted as --key=value):
+//   --matches N        number of matches (default 1000)
+//   --preset NAME      rule preset from shared/rules.js (default classic)
+//   --map ID           arena from server/maps (default classic)
+//   --left LEVEL       left bot level: easy | normal | hard (default normal)
+//   --right LEVEL      right bot level (default normal)
+//   --seed N           first match seed; match i uses seed + i (default 1)
+//   --max-time S       give up on a match after S simulated seconds
+//                      (default 600)
+//   --format FORMAT    json (summary) or csv (one row per match)
+//   --<rule> VALUE     any configurable rule, e.g. --spawnInterval 1.5
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  queueInput,
+  resetPlayer,
+  resolveTimeLimit,
+  step
+} from "../shared/simulation.js";
+import { CONFIGURABLE_RULES, resolveRoomRules } from "../shared/rules.js";
+import { DEFAULT_MAP_ID, createMap } from "../shared/maps.js";
+import { readInputMessage } from "../shared/protocol.js";
+import { createRandom } from "../shared/random.js";
+import { BOT_LEVELS, createBot } from "./bot.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MAPS_DIR = path.resolve(__dirname, "maps");
+
+const CSV_COLUMNS = [
+  "match",
+  "seed",
+  "winner",
+  "reason",
+  "duration",
+  "suddenDeath",
+  "feeds",
+  "leftFullness",
+  "rightFullness",
+  "decidingFood"
+];
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) continue;
+    const [key, inline] = arg.slice(2).split("=", 2);
+    args[key] = inline ?? argv[(i += 1)];
+  }
+  return args;
+}
+
+function loadMap(id) {
+  const file = path.join(MAPS_DIR, `${id}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Unknown map "${id}" (looked for ${file})`);
+  }
+  return createMap({ id, ...JSON.parse(fs.readFileSync(file)) });
+}
+
+function createPlayer(id, side, rules) {
+  const player = { id, side, input: {}, lastQueuedSeq: 0, lastInputSeq: 0 };
+  resetPlayer(player, rules);
+  return player;
+}
+
+// Mirrors the server's tick(): bots queue their input messages, the time
+// limit is checked when it runs out, and the round ends on a loser.
+function playMatch(options, seed) {
+  const { rules, map, levels, dt, maxSteps } = options;
+  const random = createRandom(seed);
+  const room = {
+    rules,
+    map,
+    players: new Map([
+      ["left", createPlayer("left", "left", rules)],
+      ["right", createPlayer("right", "right", rules)]
+    ]),
+    foods: [],
+    nextFoodId: 1,
+    lastSpawnTime: 0,
+    time: 0,
+    tick: 0,
+    stepCount: 0,
+    suddenDeath: false,
+    winnerId: null,
+    loserId: null,
+    events: []
+  };
+  const bots = new Map([
+    ["left", createBot(levels.left, random)],
+    ["right", createBot(levels.right, random)]
+  ]);
+  const limitSteps = rules.timeLimit > 0 ? Math.round(rules.timeLimit / dt) : 0;
+  let reason = "timeout";
+  while (room.stepCount < maxSteps) {
+    if (limitSteps && room.stepCount === limitSteps && resolveTimeLimit(room)) {
+      reason = "time";
+      break;
+    }
+    room.tick += 1;
+    for (const player of room.players.values()) {
+      const msg = bots.get(player.id).think(room, player);
+      queueInput(player, readInputMessage(msg, player));
+    }
+    step(room, dt, random);
+    if (room.loserId) {
+      reason = "full";
+      break;
+    }
+  }
+  const eats = room.events.filter((event) => event.type === "eat");
+  const deciding =
+    reason === "full"
+      ? eats.filter((event) => event.eaterId === room.loserId).at(-1)
+      : null;
+  return {
+    seed,
+    winner: room.winnerId,
+    reason,
+    duration: room.time,
+    suddenDeath: room.suddenDeath,
+    feeds: eats.length,
+    leftFullness: room.players.get("left").fullness,
+    rightFullness: room.players.get("right").fullness,
+    decidingFood: deciding?.foodType ?? null,
+    eats
+  };
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function countBy(list, key) {
+  const counts = {};
+  for (const item of list) {
+    const value = key(item);
+    if (value !== null) counts[value] = (counts[value] || 0) + 1;
+  }
+  return counts;
+}
+
+function summarize(results, config) {
+  const durations = results.map((result) => result.duration).sort((a, b) => a - b);
+  const total = results.length;
+  const totalSeconds = durations.reduce((sum, d) => sum + d, 0);
+  const totalMinutes = totalSeconds / 60;
+  const wins = countBy(results, (result) => result.winner || "none");
+  const foods = {};
+  for (const event of results.flatMap((result) => result.eats)) {
+    const entry = (foods[event.foodType] ||= { eaten: 0, fullness: 0 });
+    entry.eaten += 1;
+    entry.fullness += event.value;
+  }
+  return {
+    config,
+    matches: total,
+    duration: {
+      mean: round2(totalSeconds / total),
+      min: round2(durations[0]),
+      p10: round2(percentile(durations, 0.1)),
+      p50: round2(percentile(durations, 0.5)),
+      p90: round2(percentile(durations, 0.9)),
+      max: round2(durations[total - 1])
+    },
+    winRate: {
+      left: round2((wins.left || 0) / total),
+      right: round2((wins.right || 0) / total),
+      none: round2((wins.none || 0) / total)
+    },
+    endReasons: countBy(results, (result) => result.reason),
+    suddenDeathRate: round2(
+      results.filter((result) => result.suddenDeath).length / total
+    ),
+    feedsPerMinute: round2(
+      results.reduce((sum, result) => sum + result.feeds, 0) / totalMinutes
+    ),
+    decidingFoods: countBy(results, (result) => result.decidingFood),
+    foods
+  };
+}
+
+function toCsv(results) {
+  const rows = results.map((result, index) =>
+    CSV_COLUMNS.map((column) => {
+      if (column === "match") return index + 1;
+      const value = result[column];
+      return typeof value === "number" ? round2(value) : value ?? "";
+    }).join(",")
+  );
+  return [CSV_COLUMNS.join(","), ...rows].join("\n");
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const overrides = {};
+  for (const key of CONFIGURABLE_RULES) overrides[key] = args[key] ?? null;
+  const { preset, rules } = resolveRoomRules(args.preset, overrides);
+  const levels = { left: args.left || "normal", right: args.right || "normal" };
+  for (const level of Object.values(levels)) {
+    if (!BOT_LEVELS[level]) throw new Error(`Unknown bot level "${level}"`);
+  }
+  const matches = Math.max(1, Number(args.matches) || 1000);
+  const firstSeed = Number(args.seed) || 1;
+  const dt = 1 / rules.tickRate;
+  const options = {
+    rules,
+    map: loadMap(args.map || DEFAULT_MAP_ID),
+    levels,
+    dt,
+    maxSteps: Math.round((Number(args["max-time"]) || 600) / dt)
+  };
+
+  const results = [];
+  for (let i = 0; i < matches; i += 1) {
+    results.push(playMatch(options, firstSeed + i));
+  }
+
+  if (args.format === "csv") {
+    console.log(toCsv(results));
+    return;
+  }
+  const config = {
+    preset,
+    map: options.map.id,
+    bots: levels,
+    seed: firstSeed,
+    rules: Object.fromEntries(CONFIGURABLE_RULES.map((key) => [key, rules[key]]))
+  };
+  console.log(JSON.stringify(summarize(results, config), null, 2));
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,188 @@
+// Each entry describes one kind of falling food. `id` is the numeric type id
+// sent over the binary protocol and must never be reused or renumbered; the
+// image is loaded from /assets/foods/<texture>.png (texture defaults to type).
+// Optional fields default to the values in FOOD_DEFAULTS:
+//   name         display name for the HUD (special foods and power-ups)
+//   value        fullness added to the eater (may be negative)
+//   weight       relative spawn weight
+//   fallSpeed    multiplier on room gravity while free
+//   size         display scale and physical radius multiplier
+//   pickupRadius multiplier on the cone radius when grabbing this food
+//   slipRate     chance per second to slide out of the chopsticks
+//   holder       modifiers applied to whoever is holding it
+//   onEat        timed modifiers applied to the eater ({ duration, ... })
+//   powerUp      marks a pickup instead of a food: touching it with the
+//                chopstick tip applies { duration, target, ...modifiers } to
+//                the collector (target "self") or their opponent ("opponent").
+//                Power-ups have no image; label and color draw their badge.
+// Modifiers are moveScale (movement speed), turnScale (chopstick speed),
+// reachScale (chopstick length), coneScale (pickup cone radius) and
+// mouthScale (mouth hitbox radius).
+export const FOOD_DEFAULTS = {
+  weight: 1,
+  fallSpeed: 1,
+  size: 2,
+  pickupRadius: 1,
+  slipRate: 0,
+  holder: null,
+  onEat: null,
+  powerUp: null,
+  tint: null
+};
+
+export const FOOD_CATALOGUE = [
+  { id: 1, type: "food_01", value: 6, weight: 3, size: 1.6 },
+  { id: 2, type: "food_02", value: 6, weight: 3, size: 1.6 },
+  { id: 3, type: "food_03", value: 7, weight: 3, size: 1.7 },
+  { id: 4, type: "food_04", value: 8, weight: 3, size: 1.8 },
+  { id: 5, type: "food_05", value: 9, weight: 3, size: 1.9 },
+  { id: 6, type: "food_06", value: 10, weight: 3, size: 2.0 },
+  { id: 7, type: "food_07", value: 10, weight: 3, size: 2.0 },
+  { id: 8, type: "food_08", value: 11, weight: 3, size: 2.1 },
+  { id: 9, type: "food_09", value: 12, weight: 3, size: 2.2 },
+  { id: 10, type: "food_10", value: 13, weight: 3, size: 2.3 },
+  {
+    id: 11,
+    type: "spicy_pepper",
+    name: "辣椒",
+    texture: "food_03",
+    tint: 0xff5a36,
+    value: 5,
+    weight: 2,
+    size: 1.7,
+    onEat: { duration: 3, turnScale: 1.6 }
+  },
+  {
+    id: 12,
+    type: "slippery_tofu",
+    texture: "food_05",
+    tint: 0xe6f4ff,
+    value: 9,
+    weight: 2,
+    size: 1.9,
+    pickupRadius: 0.75,
+    slipRate: 0.5
+  },
+  {
+    id: 13,
+    type: "diet_tea",
+    texture: "food_09",
+    tint: 0x8fd694,
+    value: -8,
+    weight: 1,
+    size: 2.0,
+    fallSpeed: 0.7
+  },
+  {
+    id: 14,
+    type: "heavy_dumpling",
+    texture: "food_10",
+    tint: 0xc9a27e,
+    value: 16,
+    weight: 1,
+    size: 2.8,
+    fallSpeed: 1.4,
+    holder: { moveScale: 0.55, turnScale: 0.75 }
+  },
+  {
+    id: 15,
+    type: "long_chopsticks",
+    name: "长筷子",
+    texture: null,
+    label: "长",
+    color: 0x6ec6ff,
+    value: 0,
+    size: 1.6,
+    powerUp: { duration: 8, target: "self", reachScale: 1.35 }
+  },
+  {
+    id: 16,
+    type: "quick_hands",
+    name: "快手",
+    texture: null,
+    label: "快",
+    color: 0xffd86b,
+    value: 0,
+    size: 1.6,
+    powerUp: { duration: 8, target: "self", turnScale: 1.6 }
+  },
+  {
+    id: 17,
+    type: "magnet",
+    name: "磁铁",
+    texture: null,
+    label: "磁",
+    color: 0xc792ea,
+    value: 0,
+    size: 1.6,
+    powerUp: { duration: 8, target: "self", coneScale: 1.6 }
+  },
+  {
+    id: 18,
+    type: "tiny_mouth",
+    name: "小嘴",
+    texture: null,
+    label: "小",
+    color: 0x8fd694,
+    value: 0,
+    size: 1.6,
+    powerUp: { duration: 8, target: "opponent", mouthScale: 0.6 }
+  }
+];
+
+const FOODS_BY_TYPE = new Map(
+  FOOD_CATALOGUE.map((entry) => [
+    entry.type,
+    { ...FOOD_DEFAULTS, texture: entry.type, ...entry }
+  ])
+);
+
+const FOODS_BY_ID = new Map();
+for (const definition of FOODS_BY_TYPE.values()) {
+  if (FOODS_BY_ID.has(definition.id)) {
+    throw new Error(`Duplicate food type id ${definition.id}`);
+  }
+  FOODS_BY_ID.set(definition.id, definition);
+}
+
+export const FOOD_TEXTURES = Array.from(
+  new Set(
+    Array.from(FOODS_BY_TYPE.values(), (entry) => entry.texture).filter(
+      Boolean
+    )
+  ),
+  (key) => ({ key, url: `/assets/foods/${key}.png` })
+);
+
+export function getFoodDefinition(type) {
+  return FOODS_BY_TYPE.get(type) || FOODS_BY_TYPE.get(FOOD_CATALOGUE[0].type);
+}
+
+export function getFoodTypeById(id) {
+  return FOODS_BY_ID.get(id)?.type ?? FOOD_CATALOGUE[0].type;
+}
+
+function pickWeighted(entries, random) {
+  const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+  let roll = random() * total;
+  for (const entry of entries) {
+    roll -= entry.weight;
+    if (roll < 0) return entry.type;
+  }
+  return entries[entries.length - 1].type;
+}
+
+const FOOD_ENTRIES = Array.from(FOODS_BY_TYPE.values()).filter(
+  (entry) => !entry.powerUp
+);
+const POWER_UP_ENTRIES = Array.from(FOODS_BY_TYPE.values()).filter(
+  (entry) => entry.powerUp
+);
+
+export function pickFoodType(random) {
+  return pickWeighted(FOOD_ENTRIES, random);
+}
+
+export function pickPowerUpType(random) {
+  return pickWeighted(POWER_UP_ENTRIES, random);
+}
@@ -0,0 +1,54 @@
+import { getFoodDefinition } from "./foods.js";
+
+// Display text shared by the game page and the replay viewer, so a match
+// reads the same live and on replay.
+
+const WIN_REASONS = { full: "对手吃撑", time: "时间到" };
+
+export function sideLabel(side) {
+  return side === "left" ? "左侧" : "右侧";
+}
+
+export function foodName(type) {
+  return getFoodDefinition(type).name || "食物";
+}
+
+export function formatDuration(seconds) {
+  const total = Math.floor(seconds);
+  const minutes = Math.floor(total / 60);
+  return `${minutes}:${String(total % 60).padStart(2, "0")}`;
+}
+
+// One line for a simulation event (see emitEvent). `labelOf` turns a player
+// id into the name to show. Routine events (picking food up, letting go on
+// purpose, the win itself) give null unless `all` is set: the live feed only
+// calls out surprises, while the replay viewer lists everything.
+export function describeEvent(event, labelOf, { all = false } = {}) {
+  const who = labelOf(event.playerId);
+  const name = foodName(event.foodType);
+  switch (event.type) {
+    case "pickup":
+      return all ? `${who}夹起${name}` : null;
+    case "release":
+      if (event.reason === "slip") return `${who}的${name}滑掉了`;
+      if (event.reason === "grip") return `${who}甩飞了${name}`;
+      if (event.reason === "knock") return `${who}的${name}被打飞`;
+      return all ? `${who}松开${name}` : null;
+    case "snatch":
+      return `${who}从${labelOf(event.fromId)}筷子上抢走了${name}`;
+    case "powerup":
+      return event.targetId && event.targetId !== event.playerId
+        ? `${who}拾取${name}，${labelOf(event.targetId)}中招`
+        : `${who}拾取${name}`;
+    case "eat":
+      return `${labelOf(event.eaterId)}吃下${name}（${event.value >= 0 ? "+" : ""}${event.value}）`;
+    case "sudden-death":
+      return "平局，进入加时赛";
+    case "win":
+      return all
+        ? `${labelOf(event.winnerId)}获胜（${WIN_REASONS[event.reason] || event.reason}）`
+        : null;
+    default:
+      return all ? event.type : null;
+  }
+}
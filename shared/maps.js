@@ -0,0 +1,57 @@
+import { DEFAULT_RULES, clamp } from "./simulation.js";
+
+// Arena layouts are plain JSON (see server/maps/). All coordinates are in the
+// 960×540 arena space:
+//   tableY     height of the table line food settles on
+//   obstacles  solid boxes { x, y, width, height } blocking players and food
+//   shelves    one-way ledges { x, y, width } food lands on from above;
+//              players walk through them
+//   zones      areas { type: "wind", x, y, width, height, forceX, forceY }
+//              that accelerate free food while it is inside
+export const DEFAULT_MAP_ID = "classic";
+
+const ZONE_TYPES = ["wind"];
+
+function number(value, fallback, min, max) {
+  const n = Number(value);
+  return Number.isFinite(n) ? clamp(n, min, max) : fallback;
+}
+
+function rect(entry, rules) {
+  const x = number(entry?.x, 0, 0, rules.width);
+  const y = number(entry?.y, 0, 0, rules.height);
+  return {
+    x,
+    y,
+    width: number(entry?.width, 0, 0, rules.width - x),
+    height: number(entry?.height, 0, 0, rules.height - y)
+  };
+}
+
+export function createMap(data = {}, rules = DEFAULT_RULES) {
+  const list = (value) => (Array.isArray(value) ? value : []);
+  return {
+    id: String(data.id || DEFAULT_MAP_ID),
+    name: String(data.name || data.id || DEFAULT_MAP_ID),
+    tableY: number(data.tableY, rules.tableY, rules.height / 2, rules.height),
+    obstacles: list(data.obstacles)
+      .map((entry) => rect(entry, rules))
+      .filter((box) => box.width > 0 && box.height > 0),
+    shelves: list(data.shelves)
+      .map((entry) => ({ ...rect(entry, rules), height: 0 }))
+      .filter((shelf) => shelf.width > 0),
+    zones: list(data.zones)
+      .filter((entry) => ZONE_TYPES.includes(entry?.type))
+      .map((entry) => ({
+        type: entry.type,
+        ...rect(entry, rules),
+        forceX: number(entry.forceX, 0, -1000, 1000),
+        forceY: number(entry.forceY, 0, -1000, 1000)
+      }))
+      .filter((zone) => zone.width > 0 && zone.height > 0)
+  };
+}
+
+export function summarizeMap(map) {
+  return { id: map.id, name: map.name };
+}
@@ -0,0 +1,428 @@
+import { getFoodDefinition, getFoodTypeById } from "./foods.js";
+import { wrapAngle } from "./simulation.js";
+
+export const STATE_FORMATS = ["json", "binary"];
+export const DEFAULT_STATE_FORMAT = "binary";
+export const KEYFRAME_INTERVAL = 60;
+export const SNAPSHOT_HISTORY = 32;
+
+const FRAME_KEY = 1;
+const FRAME_DELTA = 2;
+const POS_SCALE = 10;
+const FIXED_SCALE = 100;
+const ANGLE_STEPS = 65535;
+// Inputs are snapped to these grids before the simulation sees them, on the
+// server and in client prediction alike. Replays store the grid indexes, so a
+// held aim or direction records as one run. An aim step moves the chopstick
+// tip well under a pixel.
+const AIM_STEPS = 4096;
+const AIM_STEP = (Math.PI * 2) / AIM_STEPS;
+const MOVE_STEPS = 100;
+
+export const aimToIndex = (aim) => Math.round(aim / AIM_STEP);
+export const indexToAim = (index) => index * AIM_STEP;
+export const moveToIndex = (value) => Math.round(value * MOVE_STEPS);
+export const indexToMove = (index) => index / MOVE_STEPS;
+export const quantizeAim = (aim) => indexToAim(aimToIndex(aim));
+export const quantizeMove = (value) => indexToMove(moveToIndex(value));
+
+// WebSocket close codes the server uses when it drops a client on purpose.
+export const CLOSE_CODES = {
+  messageTooLarge: 1009,
+  rateLimited: 4001,
+  invalidMessages: 4002,
+  invalidRoom: 4003,
+  serverFull: 4004,
+  passwordRequired: 4005,
+  roomIdle: 4006,
+  seatTaken: 4007
+};
+
+// Room ids travel in URLs and replay file names, so they are kept short and
+// URL-safe. Private room passwords are capped at the same kind of length.
+export const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+export const MAX_ROOM_PASSWORD_LENGTH = 64;
+
+// Turns an `input` message into the input queued for `player`, snapped to
+// the input grids above.
+export function readInputMessage(msg, player) {
+  const move = (value) => (Number.isFinite(value) ? quantizeMove(value) : 0);
+  return {
+    seq: Number.isInteger(msg.seq) ? msg.seq : 0,
+    moveX: move(msg.move?.x),
+    moveY: move(msg.move?.y),
+    aim: Number.isFinite(msg.aim) ? quantizeAim(msg.aim) : player.input.aim,
+    release: Boolean(msg.release),
+    clench: msg.clench === true
+  };
+}
+
+export const PLAYER_FIELDS = [
+  { key: "x", type: "pos" },
+  { key: "y", type: "pos" },
+  { key: "angle", type: "angle" },
+  { key: "fullness", type: "fixed" },
+  { key: "mouthOpen", type: "bool" },
+  { key: "ready", type: "bool" },
+  { key: "holdingFoodId", type: "id" },
+  { key: "lastInputSeq", type: "u32" },
+  { key: "connected", type: "bool" },
+  { key: "roundWins", type: "int" },
+  { key: "moveScale", type: "fixed" },
+  { key: "turnScale", type: "fixed" },
+  { key: "reachScale", type: "fixed" },
+  { key: "coneScale", type: "fixed" },
+  { key: "mouthScale", type: "fixed" },
+  { key: "stunTime", type: "fixed" },
+  { key: "stamina", type: "fixed" },
+  { key: "clenching", type: "bool" },
+  { key: "exhausted", type: "bool" }
+];
+
+export const FOOD_FIELDS = [
+  { key: "x", type: "pos" },
+  { key: "y", type: "pos" },
+  { key: "state", type: "enum", values: ["free", "held"] },
+  { key: "heldBy", type: "netref" },
+  { key: "value", type: "int" },
+  { key: "type", type: "foodtype" },
+  { key: "expiresAt", type: "time" }
+];
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+function quantize(field, value, netIds) {
+  switch (field.type) {
+    case "pos":
+      return Math.max(-32768, Math.min(32767, Math.round(value * POS_SCALE)));
+    case "angle":
+      return Math.round(
+        ((wrapAngle(value) + Math.PI) / (Math.PI * 2)) * ANGLE_STEPS
+      );
+    case "fixed":
+      return Math.round(value * FIXED_SCALE);
+    case "time":
+      return value === null ? 0 : Math.max(1, Math.round(value * FIXED_SCALE));
+    case "bool":
+      return value ? 1 : 0;
+    case "id":
+      return value || 0;
+    case "u32":
+      return value >>> 0;
+    case "netref":
+      return netIds.get(value) || 0;
+    case "enum":
+      return Math.max(0, field.values.indexOf(value));
+    case "int":
+      return Math.round(value);
+    case "foodtype":
+      return getFoodDefinition(value).id;
+    default:
+      throw new Error(`Unknown field type ${field.type}`);
+  }
+}
+
+function dequantize(field, value, playerIds) {
+  switch (field.type) {
+    case "pos":
+      return value / POS_SCALE;
+    case "angle":
+      return (value / ANGLE_STEPS) * Math.PI * 2 - Math.PI;
+    case "fixed":
+      return value / FIXED_SCALE;
+    case "time":
+      return value === 0 ? null : value / FIXED_SCALE;
+    case "bool":
+      return value === 1;
+    case "id":
+      return value || null;
+    case "netref":
+      return playerIds.get(value) || null;
+    case "enum":
+      return field.values[value];
+    case "foodtype":
+      return getFoodTypeById(value);
+    default:
+      return value;
+  }
+}
+
+function createWriter(size = 256) {
+  let bytes = new Uint8Array(size);
+  let view = new DataView(bytes.buffer);
+  let offset = 0;
+  const ensure = (extra) => {
+    if (offset + extra <= bytes.length) return;
+    const next = new Uint8Array(Math.max(bytes.length * 2, offset + extra));
+    next.set(bytes);
+    bytes = next;
+    view = new DataView(bytes.buffer);
+  };
+  return {
+    u8(value) {
+      ensure(1);
+      view.setUint8(offset, value);
+      offset += 1;
+    },
+    u16(value) {
+      ensure(2);
+      view.setUint16(offset, value, true);
+      offset += 2;
+    },
+    i16(value) {
+      ensure(2);
+      view.setInt16(offset, value, true);
+      offset += 2;
+    },
+    u32(value) {
+      ensure(4);
+      view.setUint32(offset, value, true);
+      offset += 4;
+    },
+    i32(value) {
+      ensure(4);
+      view.setInt32(offset, value, true);
+      offset += 4;
+    },
+    f64(value) {
+      ensure(8);
+      view.setFloat64(offset, value, true);
+      offset += 8;
+    },
+    bytes(data) {
+      ensure(data.length);
+      bytes.set(data, offset);
+      offset += data.length;
+    },
+    finish() {
+      return bytes.slice(0, offset);
+    }
+  };
+}
+
+function createReader(buffer) {
+  const bytes =
+    buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 0;
+  const read = (size, fn) => {
+    const value = fn(offset);
+    offset += size;
+    return value;
+  };
+  return {
+    u8: () => read(1, (o) => view.getUint8(o)),
+    u16: () => read(2, (o) => view.getUint16(o, true)),
+    i16: () => read(2, (o) => view.getInt16(o, true)),
+    u32: () => read(4, (o) => view.getUint32(o, true)),
+    i32: () => read(4, (o) => view.getInt32(o, true)),
+    f64: () => read(8, (o) => view.getFloat64(o, true)),
+    bytes: (size) => read(size, (o) => bytes.subarray(o, o + size))
+  };
+}
+
+function writeField(writer, field, value) {
+  switch (field.type) {
+    case "pos":
+    case "int":
+      writer.i16(value);
+      break;
+    case "angle":
+    case "id":
+      writer.u16(value);
+      break;
+    case "fixed":
+    case "time":
+      writer.i32(value);
+      break;
+    case "u32":
+      writer.u32(value);
+      break;
+    default:
+      writer.u8(value);
+  }
+}
+
+function readField(reader, field) {
+  switch (field.type) {
+    case "pos":
+    case "int":
+      return reader.i16();
+    case "angle":
+    case "id":
+      return reader.u16();
+    case "fixed":
+    case "time":
+      return reader.i32();
+    case "u32":
+      return reader.u32();
+    default:
+      return reader.u8();
+  }
+}
+
+export function quantizeState(payload) {
+  const { players, foods, tick, serverTime, ...room } = payload;
+  const netIds = new Map(players.map((player) => [player.id, player.netId]));
+  room.roster = players.map((player) => ({
+    netId: player.netId,
+    id: player.id,
+    side: player.side,
+    bot: player.bot
+  }));
+  return {
+    tick,
+    serverTime,
+    meta: JSON.stringify(room),
+    players: new Map(
+      players.map((player) => [
+        player.netId,
+        PLAYER_FIELDS.map((field) =>
+          quantize(field, player[field.key], netIds)
+        )
+      ])
+    ),
+    foods: new Map(
+      foods.map((food) => [
+        food.id,
+        FOOD_FIELDS.map((field) => quantize(field, food[field.key], netIds))
+      ])
+    )
+  };
+}
+
+function writeEntities(writer, fields, current, base, writeKey, writeCount) {
+  const changed = [];
+  for (const [key, values] of current) {
+    const previous = base?.get(key);
+    let mask = 0;
+    values.forEach((value, index) => {
+      if (!previous || previous[index] !== value) mask |= 1 << index;
+    });
+    if (mask !== 0) changed.push([key, values, mask]);
+  }
+  writeCount(changed.length);
+  for (const [key, values, mask] of changed) {
+    writeKey(key);
+    writer.u32(mask);
+    values.forEach((value, index) => {
+      if (mask & (1 << index)) writeField(writer, fields[index], value);
+    });
+  }
+  const removed = base
+    ? Array.from(base.keys()).filter((key) => !current.has(key))
+    : [];
+  writeCount(removed.length);
+  removed.forEach(writeKey);
+}
+
+function readEntities(reader, fields, base, readKey, readCount) {
+  const entities = new Map(base || []);
+  const changedCount = readCount();
+  for (let i = 0; i < changedCount; i += 1) {
+    const key = readKey();
+    const mask = reader.u32();
+    const previous = entities.get(key);
+    const values = fields.map((field, index) =>
+      mask & (1 << index) ? readField(reader, field) : previous?.[index] ?? 0
+    );
+    entities.set(key, values);
+  }
+  const removedCount = readCount();
+  for (let i = 0; i < removedCount; i += 1) {
+    entities.delete(readKey());
+  }
+  return entities;
+}
+
+export function encodeSnapshot(snapshot, base) {
+  const writer = createWriter();
+  writer.u8(base ? FRAME_DELTA : FRAME_KEY);
+  writer.u32(snapshot.tick);
+  writer.u32(base ? base.tick : 0);
+  writer.f64(snapshot.serverTime);
+  if (base && base.meta === snapshot.meta) {
+    writer.u16(0);
+  } else {
+    const meta = textEncoder.encode(snapshot.meta);
+    writer.u16(meta.length);
+    writer.bytes(meta);
+  }
+  writeEntities(
+    writer,
+    PLAYER_FIELDS,
+    snapshot.players,
+    base?.players,
+    (key) => writer.u8(key),
+    (count) => writer.u8(count)
+  );
+  writeEntities(
+    writer,
+    FOOD_FIELDS,
+    snapshot.foods,
+    base?.foods,
+    (key) => writer.u16(key),
+    (count) => writer.u16(count)
+  );
+  return writer.finish();
+}
+
+export function decodeSnapshot(buffer, findBase) {
+  const reader = createReader(buffer);
+  const kind = reader.u8();
+  const tick = reader.u32();
+  const baseTick = reader.u32();
+  const serverTime = reader.f64();
+  let base = null;
+  if (kind === FRAME_DELTA) {
+    base = findBase(baseTick);
+    if (!base) return null;
+  }
+  const metaLength = reader.u16();
+  const meta =
+    metaLength > 0 ? textDecoder.decode(reader.bytes(metaLength)) : base.meta;
+  const players = readEntities(
+    reader,
+    PLAYER_FIELDS,
+    base?.players,
+    reader.u8,
+    reader.u8
+  );
+  const foods = readEntities(
+    reader,
+    FOOD_FIELDS,
+    base?.foods,
+    reader.u16,
+    reader.u16
+  );
+  return { tick, serverTime, meta, players, foods };
+}
+
+export function expandSnapshot(snapshot) {
+  const { roster, ...room } = JSON.parse(snapshot.meta);
+  const playerIds = new Map(roster.map((entry) => [entry.netId, entry.id]));
+  const expand = (fields, values) => {
+    const entity = {};
+    fields.forEach((field, index) => {
+      entity[field.key] = dequantize(field, values[index], playerIds);
+    });
+    return entity;
+  };
+  return {
+    type: "state",
+    ...room,
+    tick: snapshot.tick,
+    serverTime: snapshot.serverTime,
+    players: roster
+      .filter((entry) => snapshot.players.has(entry.netId))
+      .map((entry) => ({
+        ...entry,
+        ...expand(PLAYER_FIELDS, snapshot.players.get(entry.netId))
+      })),
+    foods: Array.from(snapshot.foods.entries()).map(([id, values]) => ({
+      id,
+      ...expand(FOOD_FIELDS, values)
+    }))
+  };
+}
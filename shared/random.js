@@ -0,0 +1,18 @@
+// Small seeded PRNG (mulberry32) so a room's food spawns can be reproduced
+// from its seed. The returned function is a drop-in for Math.random; its
+// `state` can be read and restored to rewind the sequence.
+export function createRandom(seed) {
+  const random = () => {
+    random.state = (random.state + 0x6d2b79f5) >>> 0;
+    let t = random.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.state = seed >>> 0;
+  return random;
+}
+
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
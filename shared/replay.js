@@ -0,0 +1,224 @@
+import { createRules, resetPlayer, step } from "./simulation.js";
+import { createMap } from "./maps.js";
+import { createRandom } from "./random.js";
+import {
+  aimToIndex,
+  indexToAim,
+  indexToMove,
+  moveToIndex
+} from "./protocol.js";
+
+// A replay holds everything needed to re-run a match through `step`:
+//   version    REPLAY_VERSION
+//   roomId, preset, bestOf, createdAt
+//   dt         fixed step length in seconds
+//   rules      full rule set the room ran with
+//   map        normalized arena layout (see shared/maps.js)
+//   rounds     one entry per round:
+//     seed           PRNG seed (shared/random.js) used for the round
+//     players        [{ id, side }]
+//     steps          simulation steps the round ran for
+//     suddenDeathAt  step on which sudden death started, or null
+//     inputs         { [playerId]: [[step, count, moveX, moveY, aim, flags]] }
+//                    one input applied on `count` consecutive steps starting
+//                    at `step`; move and aim are input grid indexes (see
+//                    shared/protocol.js); flags: 1 = release, 2 = clench
+//     checksums      stateChecksum() after every CHECKSUM_INTERVAL steps,
+//                    so a re-run can tell when it stops matching the match
+//     results        the server's results for the round
+// Version 1 stored move and aim as plain numbers and had no checksums.
+export const REPLAY_VERSION = 2;
+export const CHECKSUM_INTERVAL = 120;
+
+const RELEASE_FLAG = 1;
+const CLENCH_FLAG = 2;
+
+export function createReplay(room, dt) {
+  return {
+    version: REPLAY_VERSION,
+    roomId: room.id,
+    preset: room.preset,
+    bestOf: room.series.bestOf,
+    createdAt: new Date().toISOString(),
+    dt,
+    rules: room.rules,
+    map: room.map,
+    rounds: []
+  };
+}
+
+// Starts a new round in `replay` and returns the recorder the simulation
+// feeds through `room.recorder`.
+export function recordRound(replay, room) {
+  const round = {
+    seed: room.seed,
+    players: Array.from(room.players.values(), (player) => ({
+      id: player.id,
+      side: player.side
+    })),
+    steps: 0,
+    suddenDeathAt: null,
+    inputs: {},
+    checksums: [],
+    results: null
+  };
+  replay.rounds.push(round);
+  return {
+    record(stepIndex, playerId, inputs) {
+      const list = (round.inputs[playerId] ||= []);
+      for (const input of inputs) {
+        const entry = [
+          moveToIndex(input.moveX),
+          moveToIndex(input.moveY),
+          aimToIndex(input.aim),
+          (input.release ? RELEASE_FLAG : 0) | (input.clench ? CLENCH_FLAG : 0)
+        ];
+        const last = list[list.length - 1];
+        if (
+          last &&
+          last[0] + last[1] === stepIndex &&
+          entry.every((value, i) => last[i + 2] === value)
+        ) {
+          last[1] += 1;
+        } else {
+          list.push([stepIndex, 1, ...entry]);
+        }
+      }
+    },
+    // Called after every step with the room's new stepCount.
+    checkpoint(room) {
+      if (room.stepCount % CHECKSUM_INTERVAL === 0) {
+        round.checksums.push(stateChecksum(room));
+      }
+    },
+    markSuddenDeath(stepIndex) {
+      round.suddenDeathAt = stepIndex;
+    },
+    finish(stepIndex, results) {
+      round.steps = stepIndex;
+      round.results = results;
+    }
+  };
+}
+
+function createPlayback(round, version) {
+  const move = version >= 2 ? indexToMove : (value) => value;
+  const aim = version >= 2 ? indexToAim : (value) => value;
+  const byPlayer = new Map();
+  for (const [playerId, entries] of Object.entries(round.inputs)) {
+    const steps = new Map();
+    for (const [start, count, moveX, moveY, aimValue, flags] of entries) {
+      for (let i = start; i < start + count; i += 1) {
+        if (!steps.has(i)) steps.set(i, []);
+        steps.get(i).push({
+          seq: i + 1,
+          moveX: move(moveX),
+          moveY: move(moveY),
+          aim: aim(aimValue),
+          release: Boolean(flags & RELEASE_FLAG),
+          clench: Boolean(flags & CLENCH_FLAG)
+        });
+      }
+    }
+    byPlayer.set(playerId, steps);
+  }
+  return {
+    take(stepIndex, playerId) {
+      return byPlayer.get(playerId)?.get(stepIndex) || [];
+    }
+  };
+}
+
+// Builds a room in the state the given round started from. Advance it with
+// stepReplay; inputs come from the recording instead of the input queues.
+export function createReplayRoom(replay, index = 0) {
+  const round = replay.rounds[index];
+  const rules = createRules(replay.rules);
+  const players = new Map();
+  for (const { id, side } of round.players) {
+    const player = { id, side, input: {}, lastQueuedSeq: 0, lastInputSeq: 0 };
+    resetPlayer(player, rules);
+    players.set(id, player);
+  }
+  return {
+    rules,
+    map: createMap(replay.map, rules),
+    players,
+    foods: [],
+    nextFoodId: 1,
+    lastSpawnTime: 0,
+    clashCooldownUntil: 0,
+    time: 0,
+    tick: 0,
+    stepCount: 0,
+    suddenDeath: false,
+    winnerId: null,
+    loserId: null,
+    events: [],
+    random: createRandom(round.seed),
+    playback: createPlayback(round, replay.version)
+  };
+}
+
+export function stepReplay(room, round, dt) {
+  if (room.stepCount >= round.steps) return false;
+  if (room.stepCount === round.suddenDeathAt) room.suddenDeath = true;
+  room.tick += 1;
+  step(room, dt, room.random);
+  return true;
+}
+
+// FNV-1a over the exact bits of the state that decides a match: player
+// poses, fullness and stamina, and every food's position and holder.
+// Engines whose Math.sin/atan2 round differently drift apart here first.
+export function stateChecksum(room) {
+  const view = new DataView(new ArrayBuffer(8));
+  let hash = 0x811c9dc5;
+  const mix = (value) => {
+    view.setFloat64(0, value ?? 0);
+    for (let i = 0; i < 8; i += 1) {
+      hash = Math.imul(hash ^ view.getUint8(i), 0x01000193);
+    }
+  };
+  for (const player of room.players.values()) {
+    mix(player.x);
+    mix(player.y);
+    mix(player.angle);
+    mix(player.fullness);
+    mix(player.stamina);
+  }
+  for (const food of room.foods) {
+    mix(food.id);
+    mix(food.x);
+    mix(food.y);
+    mix(food.state === "held" ? 1 : 0);
+  }
+  return hash >>> 0;
+}
+
+// Whether the room, right after a step, still matches the recording. Steps
+// without a stored checksum (between checkpoints, version 1 files) pass.
+export function matchesChecksum(room, round) {
+  if (room.stepCount % CHECKSUM_INTERVAL !== 0) return true;
+  const expected = round.checksums?.[room.stepCount / CHECKSUM_INTERVAL - 1];
+  return expected === undefined || expected === stateChecksum(room);
+}
+
+// Snapshots for scrubbing: everything but the playback, events and PRNG,
+// which is restored from its state.
+export function saveReplayState(room) {
+  const { playback, random, events, ...state } = room;
+  return { state: structuredClone(state), randomState: random.state };
+}
+
+// Keys the simulation added after the snapshot (e.g. a clash cooldown) are
+// dropped so the room is exactly as it was at that step.
+export function loadReplayState(room, saved) {
+  for (const key of Object.keys(room)) {
+    if (key !== "playback" && key !== "random" && key !== "events") {
+      delete room[key];
+    }
+  }
+  Object.assign(room, structuredClone(saved.state));
+  room.random.state = saved.randomState;
+}
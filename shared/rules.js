@@ -0,0 +1,72 @@
+import { DEFAULT_RULES, clamp, createRules } from "./simulation.js";
+
+export const RULE_LIMITS = {
+  maxFullness: { min: 20, max: 500, step: 1, label: "饱腹上限" },
+  spawnInterval: { min: 0.3, max: 6, step: 0.1, label: "掉落间隔(秒)" },
+  maxFood: { min: 1, max: 20, step: 1, label: "同屏食物上限" },
+  gravity: { min: 40, max: 400, step: 1, label: "重力" },
+  eatTime: { min: 0.03, max: 1, step: 0.01, label: "入口判定(秒)" },
+  moveSpeed: { min: 80, max: 400, step: 1, label: "移动速度" },
+  maxAngularSpeed: { min: 1, max: 10, step: 0.1, label: "筷子转速" },
+  timeLimit: { min: 0, max: 600, step: 1, label: "限时(秒,0不限)" },
+  digestRate: { min: 0, max: 5, step: 0.1, label: "消化(每秒)" }
+};
+
+export const CONFIGURABLE_RULES = Object.keys(RULE_LIMITS);
+
+export const RULE_PRESETS = {
+  classic: { label: "经典", rules: {} },
+  quick: {
+    label: "速战",
+    rules: { maxFullness: 60, spawnInterval: 1.2, maxFood: 10, timeLimit: 90 }
+  },
+  marathon: {
+    label: "马拉松",
+    rules: {
+      maxFullness: 200,
+      spawnInterval: 2.5,
+      timeLimit: 300,
+      digestRate: 1.5
+    }
+  },
+  chaos: {
+    label: "混乱",
+    rules: {
+      spawnInterval: 0.6,
+      maxFood: 16,
+      gravity: 260,
+      moveSpeed: 280,
+      maxAngularSpeed: 6.5
+    }
+  }
+};
+
+export const DEFAULT_PRESET = "classic";
+
+export function sanitizeRuleValue(key, value) {
+  const limit = RULE_LIMITS[key];
+  const number = Number(value);
+  if (!limit || value === null || value === "" || !Number.isFinite(number)) {
+    return null;
+  }
+  const clamped = clamp(number, limit.min, limit.max);
+  return limit.step >= 1 ? Math.round(clamped) : clamped;
+}
+
+export function resolveRoomRules(presetName, overrides = {}) {
+  const preset = RULE_PRESETS[presetName] ? presetName : DEFAULT_PRESET;
+  const values = { ...RULE_PRESETS[preset].rules };
+  for (const key of CONFIGURABLE_RULES) {
+    const value = sanitizeRuleValue(key, overrides[key]);
+    if (value !== null) values[key] = value;
+  }
+  return { preset, rules: createRules(values) };
+}
+
+export function summarizeRules(rules) {
+  const summary = {};
+  for (const key of CONFIGURABLE_RULES) {
+    summary[key] = rules[key] ?? DEFAULT_RULES[key];
+  }
+  return summary;
+}
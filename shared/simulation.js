@@ -0,0 +1,857 @@
+import { getFoodDefinition, pickFoodType, pickPowerUpType } from "./foods.js";
+
+export const DEFAULT_RULES = Object.freeze({
+  width: 960,
+  height: 540,
+  tickRate: 60,
+  moveSpeed: 220,
+  maxAngularSpeed: 4.5,
+  chopstickLength: 181,
+  coneRadius: 146,
+  coneHalfAngle: Math.PI / 3,
+  pickupCloseRadius: 26,
+  mouthRadius: 30,
+  mouthOffsetX: 0,
+  mouthOffsetYLeft: 84,
+  mouthOffsetYRight: 67,
+  eatTime: 0.09,
+  mouthOpenTime: 0.35,
+  heldStiffness: 200,
+  heldDamping: 10,
+  gripAcceleration: 11000,
+  regrabDelay: 0.3,
+  clashKnockback: 0.45,
+  clashStun: 0.25,
+  clashCooldown: 0.4,
+  clashKnockSpeed: 300,
+  snatchRadius: 28,
+  pinchCooldown: 0.5,
+  maxStamina: 100,
+  clenchDrain: 40,
+  staminaRegen: 15,
+  staminaRecover: 30,
+  maxFood: 8,
+  spawnInterval: 2.0,
+  spawnMargin: 80,
+  gravity: 170,
+  foodRadius: 11,
+  foodRestitution: 0.45,
+  foodSettleSpeed: 40,
+  tableY: 520,
+  tableFriction: 3,
+  foodLifetime: 5,
+  foodFadeTime: 0.6,
+  playerBodyRadius: 40,
+  maxFullness: 100,
+  timeLimit: 0,
+  digestRate: 0,
+  suddenDeathSpawnScale: 0.4,
+  suddenDeathValueScale: 1.5,
+  powerUpChance: 0.15,
+  playerMarginX: 60,
+  playerMarginTop: 80,
+  playerMarginBottom: 60,
+  spawnOffsetX: 180
+});
+
+export const INPUT_QUEUE_LIMIT = 30;
+export const INPUT_CATCHUP_THRESHOLD = 3;
+export const MODIFIER_KEYS = [
+  "moveScale",
+  "turnScale",
+  "reachScale",
+  "coneScale",
+  "mouthScale"
+];
+
+export function createRules(overrides = {}) {
+  const rules = { ...DEFAULT_RULES };
+  for (const key of Object.keys(DEFAULT_RULES)) {
+    if (Number.isFinite(overrides[key])) {
+      rules[key] = overrides[key];
+    }
+  }
+  return rules;
+}
+
+export function normalize(x, y) {
+  const len = Math.hypot(x, y);
+  if (len === 0) return { x: 0, y: 0 };
+  return { x: x / len, y: y / len };
+}
+
+export function wrapAngle(angle) {
+  let a = angle;
+  while (a <= -Math.PI) a += Math.PI * 2;
+  while (a > Math.PI) a -= Math.PI * 2;
+  return a;
+}
+
+export function rotateTowards(current, target, maxDelta) {
+  const delta = wrapAngle(target - current);
+  const clamped = Math.max(-maxDelta, Math.min(maxDelta, delta));
+  return wrapAngle(current + clamped);
+}
+
+export function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+export function tipPosition(player, rules) {
+  const length = rules.chopstickLength * (player.reachScale ?? 1);
+  return {
+    x: player.x + Math.cos(player.angle) * length,
+    y: player.y + Math.sin(player.angle) * length
+  };
+}
+
+export function mouthPosition(player, rules) {
+  const offsetY =
+    player.side === "right" ? rules.mouthOffsetYRight : rules.mouthOffsetYLeft;
+  return {
+    x: player.x + rules.mouthOffsetX,
+    y: player.y - offsetY
+  };
+}
+
+export function spawnPose(side, rules) {
+  const angle = side === "left" ? 0 : Math.PI;
+  return {
+    x: side === "left" ? rules.spawnOffsetX : rules.width - rules.spawnOffsetX,
+    y: rules.height / 2,
+    angle
+  };
+}
+
+export function resetPlayer(player, rules) {
+  const pose = spawnPose(player.side, rules);
+  player.x = pose.x;
+  player.y = pose.y;
+  player.angle = pose.angle;
+  player.targetAngle = pose.angle;
+  player.fullness = 0;
+  player.holdingFoodId = null;
+  player.mouthOpenUntil = 0;
+  player.effects = [];
+  for (const key of MODIFIER_KEYS) player[key] = 1;
+  player.tipVx = 0;
+  player.tipVy = 0;
+  player.stunTime = 0;
+  player.pinchReadyAt = 0;
+  player.stamina = rules.maxStamina;
+  player.clenching = false;
+  player.exhausted = false;
+  player.input.moveX = 0;
+  player.input.moveY = 0;
+  player.input.aim = pose.angle;
+  player.input.release = false;
+  player.input.clench = false;
+  player.inputQueue = [];
+}
+
+export function queueInput(player, input) {
+  if (input.seq <= player.lastQueuedSeq) return false;
+  player.lastQueuedSeq = input.seq;
+  player.inputQueue.push(input);
+  if (player.inputQueue.length > INPUT_QUEUE_LIMIT) {
+    player.inputQueue.shift();
+  }
+  return true;
+}
+
+// One queued input per tick; once a stalled client's backlog reaches
+// INPUT_CATCHUP_THRESHOLD, two per tick until it has caught up.
+export function takeInputs(player) {
+  const count =
+    player.inputQueue.length >= INPUT_CATCHUP_THRESHOLD ? 2 : 1;
+  return player.inputQueue.splice(0, count);
+}
+
+export function movePlayer(player, input, rules, dt, map = null) {
+  const move = normalize(input.moveX, input.moveY);
+  const speed = rules.moveSpeed * (player.moveScale ?? 1);
+  player.x += move.x * speed * dt;
+  player.y += move.y * speed * dt;
+  player.x = clamp(
+    player.x,
+    rules.playerMarginX,
+    rules.width - rules.playerMarginX
+  );
+  player.y = clamp(
+    player.y,
+    rules.playerMarginTop,
+    rules.height - rules.playerMarginBottom
+  );
+  for (const box of map?.obstacles || []) {
+    pushOutOfBox(player, rules.playerBodyRadius, box);
+  }
+  player.targetAngle = input.aim;
+  if (player.stunTime > 0) return;
+  player.angle = rotateTowards(
+    player.angle,
+    player.targetAngle,
+    rules.maxAngularSpeed * (player.turnScale ?? 1) * dt
+  );
+}
+
+// Once per tick, however many inputs the tick applied (or none, while the
+// client is stalled).
+export function decayStun(player, dt) {
+  player.stunTime = Math.max(0, player.stunTime - dt);
+}
+
+export function updateModifiers(room) {
+  for (const player of room.players.values()) {
+    player.effects = player.effects.filter((effect) => effect.until > room.time);
+    const modifiers = [...player.effects];
+    const held = player.holdingFoodId
+      ? room.foods.find((f) => f.id === player.holdingFoodId)
+      : null;
+    if (held) modifiers.push(getFoodDefinition(held.type).holder);
+    for (const key of MODIFIER_KEYS) {
+      player[key] = modifiers.reduce(
+        (scale, modifier) => scale * (modifier?.[key] ?? 1),
+        1
+      );
+    }
+  }
+}
+
+function randomFoodX(rules, random) {
+  return rules.spawnMargin + random() * (rules.width - rules.spawnMargin * 2);
+}
+
+export function spawnFood(room, random = Math.random) {
+  const rules = room.rules;
+  if (room.foods.length >= rules.maxFood) return;
+  const type =
+    random() < rules.powerUpChance
+      ? pickPowerUpType(random)
+      : pickFoodType(random);
+  const valueScale = room.suddenDeath ? rules.suddenDeathValueScale : 1;
+  const food = {
+    id: room.nextFoodId++,
+    x: randomFoodX(rules, random),
+    y: -20,
+    vx: (random() - 0.5) * 16,
+    vy: 0,
+    type,
+    value: Math.round(getFoodDefinition(type).value * valueScale),
+    expiresAt: null,
+    state: "free",
+    heldBy: null,
+    mouthTimers: {}
+  };
+  room.foods.push(food);
+}
+
+export function isInCone(player, food, rules) {
+  const tip = tipPosition(player, rules);
+  const dx = food.x - tip.x;
+  const dy = food.y - tip.y;
+  const dist = Math.hypot(dx, dy);
+  const reach = getFoodDefinition(food.type).pickupRadius;
+  if (dist > rules.coneRadius * reach * (player.coneScale ?? 1)) return false;
+  if (dist <= rules.pickupCloseRadius) return true;
+  const angleToFood = Math.atan2(dy, dx);
+  const delta = Math.abs(wrapAngle(angleToFood - player.angle));
+  return delta <= rules.coneHalfAngle;
+}
+
+// Discrete gameplay events, recorded only when the room has an `events` array
+// (the server's rooms do; client-side prediction doesn't). Each event carries
+// the tick it happened on, in the order it happened:
+//   pickup       { playerId, foodId, foodType }
+//   release      { playerId, foodId, foodType, reason } where reason is
+//                "release", "slip", "grip" (swung too hard) or "knock" (clash)
+//   snatch       { playerId, fromId, foodId, foodType }
+//   powerup      { playerId, targetId, foodId, foodType }
+//   eat          { eaterId, feederId, foodId, foodType, value, fullness }
+//   sudden-death {}
+//   win          { winnerId, loserId, reason } where reason is "full" or "time"
+export function emitEvent(room, type, data = {}) {
+  if (!room.events) return;
+  room.events.push({ type, tick: room.tick ?? 0, ...data });
+}
+
+export function tryPickup(room, player) {
+  if (player.holdingFoodId) return;
+  const candidate = room.foods.find(
+    (food) =>
+      food.state === "free" &&
+      !getFoodDefinition(food.type).powerUp &&
+      !(food.droppedBy === player.id && room.time < food.regrabAt) &&
+      isInCone(player, food, room.rules)
+  );
+  if (!candidate) return;
+  candidate.state = "held";
+  candidate.heldBy = player.id;
+  candidate.gripped = false;
+  candidate.expiresAt = null;
+  candidate.mouthTimers = {};
+  player.holdingFoodId = candidate.id;
+  emitEvent(room, "pickup", {
+    playerId: player.id,
+    foodId: candidate.id,
+    foodType: candidate.type
+  });
+}
+
+// The dropping player can't immediately re-grab the food still sitting at
+// their chopstick tip, otherwise a throw would never leave the chopsticks.
+function dropFood(room, food, player, reason) {
+  emitEvent(room, "release", {
+    playerId: player.id,
+    foodId: food.id,
+    foodType: food.type,
+    reason
+  });
+  food.state = "free";
+  food.heldBy = null;
+  food.gripped = false;
+  food.droppedBy = player.id;
+  food.regrabAt = room.time + room.rules.regrabDelay;
+  player.holdingFoodId = null;
+}
+
+// The other seated player, or null while the room has only one.
+export function opponentOf(room, player) {
+  return (
+    Array.from(room.players.values()).find((p) => p.id !== player.id) || null
+  );
+}
+
+// Starts a timed effect; picking up the same kind again refreshes it instead
+// of stacking.
+function addEffect(player, type, modifiers, until) {
+  player.effects = player.effects.filter((effect) => effect.type !== type);
+  player.effects.push({ ...modifiers, type, until });
+}
+
+// Power-ups are collected on touch, even with food in the chopsticks.
+export function collectPowerUps(room, player) {
+  for (const food of room.foods) {
+    const powerUp = getFoodDefinition(food.type).powerUp;
+    if (!powerUp || food.state !== "free") continue;
+    if (!isInCone(player, food, room.rules)) continue;
+    const { duration, target, ...modifiers } = powerUp;
+    const recipient = target === "opponent" ? opponentOf(room, player) : player;
+    if (recipient) {
+      addEffect(recipient, food.type, modifiers, room.time + duration);
+    }
+    emitEvent(room, "powerup", {
+      playerId: player.id,
+      targetId: recipient?.id ?? null,
+      foodId: food.id,
+      foodType: food.type
+    });
+    food.collected = true;
+  }
+  room.foods = room.foods.filter((food) => !food.collected);
+}
+
+export function releaseFood(room, player) {
+  if (!player.holdingFoodId) return;
+  const food = room.foods.find((f) => f.id === player.holdingFoodId);
+  if (!food) {
+    player.holdingFoodId = null;
+    return;
+  }
+  food.vx = player.tipVx ?? 0;
+  food.vy = player.tipVy ?? 0;
+  dropFood(room, food, player, "release");
+}
+
+// Pressing release with empty chopsticks is a pinch: if the tip closes on
+// food the opponent is holding, it changes hands. Missed pinches still cost
+// the cooldown so the button can't just be held down.
+export function trySnatch(room, player) {
+  const rules = room.rules;
+  if (player.holdingFoodId || room.time < player.pinchReadyAt) return;
+  player.pinchReadyAt = room.time + rules.pinchCooldown;
+  const tip = tipPosition(player, rules);
+  const food = room.foods.find(
+    (f) =>
+      f.state === "held" &&
+      f.heldBy !== player.id &&
+      Math.hypot(f.x - tip.x, f.y - tip.y) <= rules.snatchRadius
+  );
+  if (!food) return;
+  const victim = room.players.get(food.heldBy);
+  if (victim) victim.holdingFoodId = null;
+  emitEvent(room, "snatch", {
+    playerId: player.id,
+    fromId: food.heldBy,
+    foodId: food.id,
+    foodType: food.type
+  });
+  food.heldBy = player.id;
+  food.gripped = false;
+  food.mouthTimers = {};
+  player.holdingFoodId = food.id;
+}
+
+export function segmentIntersection(a1, a2, b1, b2) {
+  const rx = a2.x - a1.x;
+  const ry = a2.y - a1.y;
+  const sx = b2.x - b1.x;
+  const sy = b2.y - b1.y;
+  const denom = rx * sy - ry * sx;
+  if (denom === 0) return null;
+  const qx = b1.x - a1.x;
+  const qy = b1.y - a1.y;
+  const t = (qx * sy - qy * sx) / denom;
+  const u = (qx * ry - qy * rx) / denom;
+  if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+  return { x: a1.x + rx * t, y: a1.y + ry * t };
+}
+
+// Turns a chopstick away from the one it hit, in the direction the other tip
+// was pushing it, and freezes its rotation for a moment.
+function knockBack(player, other, rules) {
+  const tangentX = -Math.sin(player.angle);
+  const tangentY = Math.cos(player.angle);
+  const pushX = other.tipVx - player.tipVx;
+  const pushY = other.tipVy - player.tipVy;
+  let direction = Math.sign(pushX * tangentX + pushY * tangentY);
+  if (direction === 0) {
+    const side =
+      (other.x - player.x) * tangentX + (other.y - player.y) * tangentY;
+    direction = side > 0 ? -1 : 1;
+  }
+  player.angle = wrapAngle(player.angle + direction * rules.clashKnockback);
+  player.stunTime = rules.clashStun;
+}
+
+export function resolveClashes(room) {
+  const rules = room.rules;
+  const [a, b] = Array.from(room.players.values());
+  if (!a || !b || room.time < (room.clashCooldownUntil ?? 0)) return;
+  const point = segmentIntersection(
+    a,
+    tipPosition(a, rules),
+    b,
+    tipPosition(b, rules)
+  );
+  if (!point) return;
+  room.clashCooldownUntil = room.time + rules.clashCooldown;
+  const speedA = Math.hypot(a.tipVx, a.tipVy);
+  const speedB = Math.hypot(b.tipVx, b.tipVy);
+  const [attacker, victim] = speedA >= speedB ? [a, b] : [b, a];
+  knockBack(a, b, rules);
+  knockBack(b, a, rules);
+  if (
+    victim.holdingFoodId &&
+    Math.max(speedA, speedB) >= rules.clashKnockSpeed
+  ) {
+    const food = room.foods.find((f) => f.id === victim.holdingFoodId);
+    if (food) {
+      dropFood(room, food, victim, "knock");
+      food.vx = attacker.tipVx * 0.5;
+      food.vy = attacker.tipVy * 0.5;
+    } else {
+      victim.holdingFoodId = null;
+    }
+  }
+}
+
+export function foodRadius(food, rules) {
+  return rules.foodRadius * getFoodDefinition(food.type).size;
+}
+
+// Rooms without a map (tests, tools) play on the bare table.
+export function arenaOf(room) {
+  return (
+    room.map || {
+      tableY: room.rules.tableY,
+      obstacles: [],
+      shelves: [],
+      zones: []
+    }
+  );
+}
+
+// Moves a circle out of an axis-aligned box and returns the push direction,
+// or null when they don't overlap.
+export function pushOutOfBox(body, radius, box) {
+  const nearestX = clamp(body.x, box.x, box.x + box.width);
+  const nearestY = clamp(body.y, box.y, box.y + box.height);
+  const dx = body.x - nearestX;
+  const dy = body.y - nearestY;
+  const dist = Math.hypot(dx, dy);
+  if (dist >= radius) return null;
+  if (dist === 0) {
+    // Centre inside the box: leave through the closest face.
+    const exits = [
+      { x: -1, y: 0, depth: body.x - box.x },
+      { x: 1, y: 0, depth: box.x + box.width - body.x },
+      { x: 0, y: -1, depth: body.y - box.y },
+      { x: 0, y: 1, depth: box.y + box.height - body.y }
+    ];
+    const exit = exits.reduce((best, e) => (e.depth < best.depth ? e : best));
+    body.x += exit.x * (exit.depth + radius);
+    body.y += exit.y * (exit.depth + radius);
+    return { x: exit.x, y: exit.y };
+  }
+  const n = { x: dx / dist, y: dy / dist };
+  body.x += n.x * (radius - dist);
+  body.y += n.y * (radius - dist);
+  return n;
+}
+
+// Food resting on the table, a shelf or an obstacle top stops bouncing,
+// slides to a halt and starts its despawn timer.
+function settleFood(room, food, dt) {
+  const rules = room.rules;
+  if (Math.abs(food.vy) < rules.foodSettleSpeed) food.vy = 0;
+  food.vx *= Math.max(0, 1 - rules.tableFriction * dt);
+  if (food.expiresAt === null) {
+    food.expiresAt = room.time + rules.foodLifetime;
+  }
+}
+
+function landOn(room, food, surfaceY, radius, dt) {
+  food.y = surfaceY - radius;
+  food.vy = -Math.abs(food.vy) * room.rules.foodRestitution;
+  settleFood(room, food, dt);
+}
+
+function bounceOffArena(room, food, radius, previousY, dt) {
+  const rules = room.rules;
+  const arena = arenaOf(room);
+  if (food.x < radius) {
+    food.x = radius;
+    food.vx = Math.abs(food.vx) * rules.foodRestitution;
+  } else if (food.x > rules.width - radius) {
+    food.x = rules.width - radius;
+    food.vx = -Math.abs(food.vx) * rules.foodRestitution;
+  }
+  for (const box of arena.obstacles) {
+    const n = pushOutOfBox(food, radius, box);
+    if (!n) continue;
+    const into = food.vx * n.x + food.vy * n.y;
+    if (into < 0) {
+      food.vx -= (1 + rules.foodRestitution) * into * n.x;
+      food.vy -= (1 + rules.foodRestitution) * into * n.y;
+    }
+    if (n.y < -0.7) settleFood(room, food, dt);
+  }
+  for (const shelf of arena.shelves) {
+    const within = food.x >= shelf.x && food.x <= shelf.x + shelf.width;
+    if (
+      within &&
+      food.vy >= 0 &&
+      previousY + radius <= shelf.y &&
+      food.y + radius >= shelf.y
+    ) {
+      landOn(room, food, shelf.y, radius, dt);
+    }
+  }
+  if (food.y + radius >= arena.tableY) {
+    landOn(room, food, arena.tableY, radius, dt);
+  }
+}
+
+function applyZones(room, food, dt) {
+  for (const zone of arenaOf(room).zones) {
+    const inside =
+      food.x >= zone.x &&
+      food.x <= zone.x + zone.width &&
+      food.y >= zone.y &&
+      food.y <= zone.y + zone.height;
+    if (!inside) continue;
+    food.vx += zone.forceX * dt;
+    food.vy += zone.forceY * dt;
+  }
+}
+
+// Pushes two overlapping circles apart and bounces them off each other. A
+// body with `fixed` set (a player) does not move and absorbs nothing.
+function collideCircles(a, b, minDist, restitution, fixed = false) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const dist = Math.hypot(dx, dy);
+  if (dist >= minDist) return;
+  const n = dist > 0 ? { x: dx / dist, y: dy / dist } : { x: 0, y: -1 };
+  const overlap = minDist - dist;
+  const share = fixed ? 1 : 0.5;
+  if (!fixed) {
+    a.x -= n.x * overlap * share;
+    a.y -= n.y * overlap * share;
+  }
+  b.x += n.x * overlap * share;
+  b.y += n.y * overlap * share;
+  const relative =
+    (b.vx - (fixed ? 0 : a.vx)) * n.x + (b.vy - (fixed ? 0 : a.vy)) * n.y;
+  if (relative >= 0) return;
+  const impulse = -(1 + restitution) * relative * share;
+  if (!fixed) {
+    a.vx -= n.x * impulse;
+    a.vy -= n.y * impulse;
+  }
+  b.vx += n.x * impulse;
+  b.vy += n.y * impulse;
+}
+
+export function updateFoods(room, dt) {
+  const rules = room.rules;
+  const free = room.foods.filter((food) => food.state === "free");
+  const previousY = new Map();
+  for (const food of free) {
+    previousY.set(food.id, food.y);
+    food.vy += rules.gravity * getFoodDefinition(food.type).fallSpeed * dt;
+    applyZones(room, food, dt);
+    food.x += food.vx * dt;
+    food.y += food.vy * dt;
+  }
+  for (let i = 0; i < free.length; i += 1) {
+    for (let j = i + 1; j < free.length; j += 1) {
+      collideCircles(
+        free[i],
+        free[j],
+        foodRadius(free[i], rules) + foodRadius(free[j], rules),
+        rules.foodRestitution
+      );
+    }
+  }
+  for (const food of free) {
+    const radius = foodRadius(food, rules);
+    for (const player of room.players.values()) {
+      collideCircles(
+        player,
+        food,
+        rules.playerBodyRadius + radius,
+        rules.foodRestitution,
+        true
+      );
+    }
+    bounceOffArena(room, food, radius, previousY.get(food.id), dt);
+  }
+  room.foods = room.foods.filter(
+    (food) =>
+      food.state !== "free" ||
+      food.expiresAt === null ||
+      room.time < food.expiresAt
+  );
+}
+
+// Held food hangs off the chopstick tip on a damped spring, so it lags and
+// swings behind fast rotation. The spring pull is the acceleration the tip has
+// to impart on the food; once the food has been reeled in, a pull above
+// gripAcceleration means the swing was too violent and the food flies off with
+// whatever momentum it had.
+export function updateHeldFoods(room, dt, random = Math.random) {
+  const rules = room.rules;
+  for (const player of room.players.values()) {
+    if (!player.holdingFoodId) continue;
+    const food = room.foods.find((f) => f.id === player.holdingFoodId);
+    if (!food) {
+      player.holdingFoodId = null;
+      continue;
+    }
+    const definition = getFoodDefinition(food.type);
+    if (definition.slipRate > 0 && random() < definition.slipRate * dt) {
+      dropFood(room, food, player, "slip");
+      continue;
+    }
+    const tip = tipPosition(player, rules);
+    const pullX = (tip.x - food.x) * rules.heldStiffness;
+    const pullY = (tip.y - food.y) * rules.heldStiffness;
+    const pull = Math.hypot(pullX, pullY);
+    if (!food.gripped) {
+      food.gripped = pull <= rules.gripAcceleration;
+    } else if (pull > rules.gripAcceleration) {
+      dropFood(room, food, player, "grip");
+      continue;
+    }
+    const ax = pullX + ((player.tipVx ?? 0) - food.vx) * rules.heldDamping;
+    const ay =
+      pullY +
+      ((player.tipVy ?? 0) - food.vy) * rules.heldDamping +
+      rules.gravity * definition.fallSpeed;
+    food.vx += ax * dt;
+    food.vy += ay * dt;
+    food.x += food.vx * dt;
+    food.y += food.vy * dt;
+  }
+}
+
+export function checkWin(room, eater) {
+  if (eater.fullness < room.rules.maxFullness) return;
+  room.loserId = eater.id;
+  const opponent = Array.from(room.players.values()).find(
+    (p) => p.id !== eater.id
+  );
+  room.winnerId = opponent ? opponent.id : null;
+  emitEvent(room, "win", {
+    winnerId: room.winnerId,
+    loserId: room.loserId,
+    reason: "full"
+  });
+}
+
+// Called when the room's time limit runs out: the less-fed player wins. On a
+// tie the round carries on as sudden death (see spawnFood and step) and this
+// returns false.
+export function resolveTimeLimit(room) {
+  const [a, b] = Array.from(room.players.values());
+  if (!a || !b || Math.round(a.fullness) === Math.round(b.fullness)) {
+    room.suddenDeath = true;
+    emitEvent(room, "sudden-death");
+    return false;
+  }
+  const [winner, loser] = a.fullness < b.fullness ? [a, b] : [b, a];
+  room.winnerId = winner.id;
+  room.loserId = loser.id;
+  emitEvent(room, "win", {
+    winnerId: winner.id,
+    loserId: loser.id,
+    reason: "time"
+  });
+  return true;
+}
+
+export function digest(room, dt) {
+  const rate = room.rules.digestRate;
+  if (!(rate > 0)) return;
+  for (const player of room.players.values()) {
+    player.fullness = Math.max(0, player.fullness - rate * dt);
+  }
+}
+
+export function handleEating(room, dt) {
+  const rules = room.rules;
+  for (const food of room.foods) {
+    if (food.state !== "held" || !food.heldBy) continue;
+    for (const player of room.players.values()) {
+      if (food.heldBy === player.id) continue;
+      const opponentId = player.id;
+      const mouth = mouthPosition(player, rules);
+      if (player.clenching) {
+        // A clenched mouth can't eat; food shoved into it bounces off.
+        food.mouthTimers[opponentId] = 0;
+        collideCircles(
+          { ...mouth, vx: 0, vy: 0 },
+          food,
+          rules.mouthRadius * (player.mouthScale ?? 1),
+          rules.foodRestitution,
+          true
+        );
+        continue;
+      }
+      const dist = Math.hypot(food.x - mouth.x, food.y - mouth.y);
+      const inMouth = dist <= rules.mouthRadius * (player.mouthScale ?? 1);
+      if (inMouth) {
+        food.mouthTimers[opponentId] =
+          (food.mouthTimers[opponentId] || 0) + dt;
+      } else {
+        food.mouthTimers[opponentId] = 0;
+      }
+      if (food.mouthTimers[opponentId] >= rules.eatTime) {
+        const eater = player;
+        const definition = getFoodDefinition(food.type);
+        eater.fullness = Math.max(0, eater.fullness + food.value);
+        eater.mouthOpenUntil = room.time + rules.mouthOpenTime;
+        if (definition.onEat) {
+          const { duration, ...modifiers } = definition.onEat;
+          addEffect(eater, food.type, modifiers, room.time + duration);
+        }
+        const holder = room.players.get(food.heldBy);
+        if (holder) holder.holdingFoodId = null;
+        room.foods = room.foods.filter((f) => f.id !== food.id);
+        emitEvent(room, "eat", {
+          eaterId: eater.id,
+          feederId: food.heldBy,
+          foodId: food.id,
+          foodType: food.type,
+          value: food.value,
+          fullness: eater.fullness
+        });
+        checkWin(room, eater);
+        return;
+      }
+    }
+  }
+}
+
+export function applyInput(room, player, input, dt) {
+  player.input.moveX = input.moveX;
+  player.input.moveY = input.moveY;
+  player.input.aim = input.aim;
+  player.input.release = player.input.release || input.release;
+  player.input.clench = Boolean(input.clench);
+  movePlayer(player, player.input, room.rules, dt, room.map);
+  player.lastInputSeq = input.seq;
+}
+
+// Holding the mouth shut drains stamina; running dry forces it open until the
+// bar has recovered to staminaRecover.
+export function updateStamina(player, rules, dt) {
+  const wantsClench = player.input.clench && !player.exhausted;
+  if (wantsClench) {
+    player.stamina = Math.max(0, player.stamina - rules.clenchDrain * dt);
+    if (player.stamina === 0) player.exhausted = true;
+  } else {
+    player.stamina = Math.min(
+      rules.maxStamina,
+      player.stamina + rules.staminaRegen * dt
+    );
+    if (player.exhausted && player.stamina >= rules.staminaRecover) {
+      player.exhausted = false;
+    }
+  }
+  player.clenching = wantsClench && !player.exhausted;
+}
+
+export function updatePlayers(room, dt) {
+  for (const player of room.players.values()) {
+    const before = tipPosition(player, room.rules);
+    // Replays feed recorded inputs back in; recording rooms log what was
+    // applied (see shared/replay.js).
+    const inputs = room.playback
+      ? room.playback.take(room.stepCount, player.id)
+      : takeInputs(player);
+    room.recorder?.record(room.stepCount, player.id, inputs);
+    for (const input of inputs) {
+      applyInput(room, player, input, dt);
+    }
+    decayStun(player, dt);
+    // A catch-up tick applies two inputs' worth of motion; the tip velocity
+    // stays per input so throws and knocks don't double.
+    const after = tipPosition(player, room.rules);
+    const span = dt * Math.max(1, inputs.length);
+    player.tipVx = (after.x - before.x) / span;
+    player.tipVy = (after.y - before.y) / span;
+    // Release once the tick's tip velocity is known so the throw carries it.
+    if (player.input.release) {
+      if (player.holdingFoodId) releaseFood(room, player);
+      else trySnatch(room, player);
+    }
+    player.input.release = false;
+    updateStamina(player, room.rules, dt);
+  }
+}
+
+export function step(room, dt, random = Math.random) {
+  updateModifiers(room);
+  updatePlayers(room, dt);
+  resolveClashes(room);
+  for (const player of room.players.values()) {
+    tryPickup(room, player);
+    collectPowerUps(room, player);
+  }
+  updateHeldFoods(room, dt, random);
+  updateFoods(room, dt);
+  digest(room, dt);
+  handleEating(room, dt);
+  room.time += dt;
+  room.lastSpawnTime += dt;
+  const spawnInterval =
+    room.rules.spawnInterval *
+    (room.suddenDeath ? room.rules.suddenDeathSpawnScale : 1);
+  if (room.lastSpawnTime >= spawnInterval) {
+    room.lastSpawnTime = 0;
+    spawnFood(room, random);
+  }
+  room.stepCount = (room.stepCount || 0) + 1;
+}
@@ -0,0 +1,71 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseMessage } from "../server/messages.js";
+
+const parse = (value) => parseMessage(JSON.stringify(value), false);
+
+test("accepts each message type", () => {
+  const messages = [
+    { type: "ack", tick: 42 },
+    { type: "sit" },
+    { type: "input", seq: 1, move: { x: 0.6, y: -0.8 }, aim: -3 },
+    { type: "input", seq: 2, move: { x: 0, y: 0 }, aim: 0, release: true, clench: false },
+    { type: "ready", ready: true },
+    { type: "debug", enabled: false },
+    { type: "bot", level: "hard" },
+    { type: "bot", level: null }
+  ];
+  for (const message of messages) {
+    assert.deepEqual(parse(message), { msg: message });
+  }
+});
+
+test("rejects data that is not a JSON object", () => {
+  assert.deepEqual(parseMessage(Buffer.from([1, 2, 3]), true), {
+    error: "binary message"
+  });
+  assert.deepEqual(parseMessage("{\"type\":", false), {
+    error: "malformed JSON"
+  });
+  for (const value of ["null", "[]", "3", "\"ready\""]) {
+    assert.deepEqual(parseMessage(value, false), { error: "not an object" });
+  }
+});
+
+test("rejects unknown types without echoing them raw", () => {
+  assert.deepEqual(parse({ type: "explode" }), {
+    error: "unknown type \"explode\""
+  });
+  assert.deepEqual(parse({}), { error: "unknown type <undefined>" });
+  assert.deepEqual(parse({ type: "constructor" }), {
+    error: "unknown type \"constructor\""
+  });
+  const { error } = parse({ type: "x\n\"y\"".padEnd(40, "z") });
+  // Only the first 24 characters are kept: x, \n, ", y, " and 19 z's.
+  assert.equal(
+    error,
+    `unknown type "x\\u000a\\u0022y\\u0022${"z".repeat(19)}..."`
+  );
+});
+
+test("rejects fields that fail their schema", () => {
+  const cases = [
+    [{ type: "ack", tick: -1 }, "invalid ack.tick"],
+    [{ type: "ack", tick: 1.5 }, "invalid ack.tick"],
+    [{ type: "input", move: { x: 0, y: 0 }, aim: 0 }, "invalid input.seq"],
+    [{ type: "input", seq: 1, move: { x: 2, y: 0 }, aim: 0 }, "invalid input.move"],
+    [{ type: "input", seq: 1, move: [0, 0], aim: 0 }, "invalid input.move"],
+    [{ type: "input", seq: 1, move: { x: 0, y: 0 }, aim: 7 }, "invalid input.aim"],
+    [{ type: "input", seq: 1, move: { x: 0, y: 0 }, aim: "0" }, "invalid input.aim"],
+    [
+      { type: "input", seq: 1, move: { x: 0, y: 0 }, aim: 0, release: 1 },
+      "invalid input.release"
+    ],
+    [{ type: "ready", ready: "yes" }, "invalid ready.ready"],
+    [{ type: "debug" }, "invalid debug.enabled"],
+    [{ type: "bot", level: "impossible" }, "invalid bot.level"]
+  ];
+  for (const [message, error] of cases) {
+    assert.deepEqual(parse(message), { error });
+  }
+});
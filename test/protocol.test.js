@@ -0,0 +1,159 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  decodeSnapshot,
+  encodeSnapshot,
+  expandSnapshot,
+  quantizeState
+} from "../shared/protocol.js";
+
+// Values are picked on the wire grid (0.1 px, 0.01 fixed-point) so they come
+// back exactly; angles are checked to within one step.
+function makePlayer(overrides) {
+  return {
+    id: "p_left",
+    netId: 1,
+    side: "left",
+    bot: null,
+    x: 120.5,
+    y: 640,
+    angle: 0.5,
+    fullness: 42.25,
+    mouthOpen: false,
+    ready: true,
+    holdingFoodId: null,
+    lastInputSeq: 381,
+    connected: true,
+    roundWins: 0,
+    moveScale: 1,
+    turnScale: 1,
+    reachScale: 1,
+    coneScale: 1,
+    mouthScale: 1,
+    stunTime: 0,
+    stamina: 0.75,
+    clenching: false,
+    exhausted: false,
+    ...overrides
+  };
+}
+
+function makePayload(tick) {
+  return {
+    type: "state",
+    tick,
+    serverTime: tick / 60,
+    phase: "playing",
+    paused: false,
+    spectators: 0,
+    players: [
+      makePlayer({ holdingFoodId: 7 }),
+      makePlayer({
+        id: "p_right",
+        netId: 2,
+        side: "right",
+        bot: "normal",
+        x: 980,
+        angle: -2.5,
+        mouthOpen: true
+      })
+    ],
+    foods: [
+      {
+        id: 7,
+        x: 200,
+        y: 310.4,
+        state: "held",
+        heldBy: "p_left",
+        value: 6,
+        type: "food_01",
+        expiresAt: null
+      },
+      {
+        id: 9,
+        x: 640,
+        y: 12.5,
+        state: "free",
+        heldBy: null,
+        value: -4,
+        type: "diet_tea",
+        expiresAt: 31.5
+      }
+    ]
+  };
+}
+
+function roundTrip(payload, base = null) {
+  const snapshot = quantizeState(payload);
+  const bytes = encodeSnapshot(snapshot, base);
+  const decoded = decodeSnapshot(bytes, (tick) =>
+    base && base.tick === tick ? base : null
+  );
+  return { snapshot, bytes, decoded };
+}
+
+function assertSameState(actual, expected) {
+  const { players, foods, ...room } = expected;
+  for (const [key, value] of Object.entries(room)) {
+    assert.deepEqual(actual[key], value, key);
+  }
+  assert.equal(actual.players.length, players.length);
+  players.forEach((player, index) => {
+    const { angle, ...exact } = player;
+    const { angle: decodedAngle, ...decoded } = actual.players[index];
+    assert.deepEqual(decoded, exact);
+    assert.ok(Math.abs(decodedAngle - angle) < 1e-3, `angle ${decodedAngle}`);
+  });
+  assert.deepEqual(
+    [...actual.foods].sort((a, b) => a.id - b.id),
+    [...foods].sort((a, b) => a.id - b.id)
+  );
+}
+
+test("keyframe round-trips every player and food field", () => {
+  const payload = makePayload(600);
+  const { decoded } = roundTrip(payload);
+  assert.equal(decoded.tick, 600);
+  assertSameState(expandSnapshot(decoded), payload);
+});
+
+test("delta applies changes, additions and removals to its base", () => {
+  const base = roundTrip(makePayload(600)).snapshot;
+  const payload = makePayload(603);
+  payload.players[0].x = 131.2;
+  payload.players[0].holdingFoodId = null;
+  payload.players[1].fullness = 55;
+  payload.foods = [
+    { ...payload.foods[1], y: 40 },
+    {
+      id: 12,
+      x: 480,
+      y: 0,
+      state: "free",
+      heldBy: null,
+      value: 9,
+      type: "food_05",
+      expiresAt: null
+    }
+  ];
+  const keyframe = roundTrip(payload);
+  const delta = roundTrip(payload, base);
+  assert.ok(delta.bytes.length < keyframe.bytes.length);
+  assertSameState(expandSnapshot(delta.decoded), payload);
+  assert.deepEqual(delta.decoded, keyframe.decoded);
+});
+
+test("delta without room changes reuses the base's room fields", () => {
+  const base = roundTrip(makePayload(600)).snapshot;
+  const payload = makePayload(601);
+  const { bytes, decoded } = roundTrip(payload, base);
+  assert.equal(decoded.meta, base.meta);
+  assert.ok(bytes.length < 64, `${bytes.length} bytes`);
+  assertSameState(expandSnapshot(decoded), payload);
+});
+
+test("delta against an unknown base decodes to null", () => {
+  const base = quantizeState(makePayload(600));
+  const bytes = encodeSnapshot(quantizeState(makePayload(601)), base);
+  assert.equal(decodeSnapshot(bytes, () => null), null);
+});